@@ -0,0 +1,101 @@
+// Typed errors for the n8n API layer, so callers can react to specific failures
+// (e.g. fall back to create on NotFoundError) instead of parsing axios errors.
+
+class ApiError extends Error {
+    constructor(message, { status = null, method = null, url = null, details = null, code = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.method = method;
+        this.url = url;
+        this.details = details;
+        this.code = code;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// 400 / 422 - the payload was rejected
+class ValidationError extends ApiError {}
+
+// 401 / 403 - missing, expired or insufficient API key
+class UnauthorizedError extends ApiError {}
+
+// 404
+class NotFoundError extends ApiError {}
+
+// 409 - e.g. a workflow with the same name already exists
+class ConflictError extends ApiError {}
+
+// 429
+class RateLimitError extends ApiError {}
+
+// 5xx
+class ServerError extends ApiError {}
+
+// No response at all: timeouts, DNS failures, refused or reset connections
+class NetworkError extends ApiError {}
+
+const STATUS_ERRORS = {
+    400: ValidationError,
+    401: UnauthorizedError,
+    403: UnauthorizedError,
+    404: NotFoundError,
+    409: ConflictError,
+    422: ValidationError,
+    429: RateLimitError
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function toApiError(error, method, url) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    const upperMethod = (method || '').toUpperCase();
+
+    if (!error.response) {
+        const reason = error.code === 'ECONNABORTED' ? 'timed out' : (error.code || error.message);
+        return new NetworkError(`${upperMethod} ${url} failed: ${reason}`, {
+            method: upperMethod,
+            url,
+            code: error.code || null
+        });
+    }
+
+    const { status, data, headers } = error.response;
+    const serverMessage = (data && (data.message || data.error)) || error.message;
+    const ErrorClass = STATUS_ERRORS[status] || (status >= 500 ? ServerError : ApiError);
+
+    return new ErrorClass(`${upperMethod} ${url} failed with ${status}: ${serverMessage}`, {
+        status,
+        method: upperMethod,
+        url,
+        details: data,
+        retryAfterMs: parseRetryAfter(headers && headers['retry-after'])
+    });
+}
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    UnauthorizedError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    ServerError,
+    NetworkError,
+    toApiError,
+    parseRetryAfter
+};
@@ -0,0 +1,161 @@
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 512;
+
+// Start of an encrypted archive, followed by the scrypt salt, the AES-GCM IV and auth tag, and the encrypted .tar.gz
+const ENCRYPTED_MAGIC = Buffer.from('N8NBAK01');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// A backup as one file: a .tar.gz holding <backupName>/<file> entries, readable by any tar, and optionally
+// encrypted with AES-256-GCM under a key derived (scrypt) from a passphrase. The archive is built and read in
+// memory; backups are a few JSON files.
+class BackupArchive {
+    // files: { fileName: Buffer|string } → archive content
+    pack(backupName, files, passphrase = null) {
+        const blocks = [];
+        const mtime = Math.floor(Date.now() / 1000);
+
+        for (const [fileName, content] of Object.entries(files)) {
+            const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+            blocks.push(this.createHeader(`${backupName}/${fileName}`, data.length, mtime), data);
+
+            const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+            blocks.push(Buffer.alloc(padding));
+        }
+        // End of archive: two empty blocks
+        blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+        const archive = zlib.gzipSync(Buffer.concat(blocks));
+        return passphrase ? this.encrypt(archive, passphrase) : archive;
+    }
+
+    // Archive content → { fileName: Buffer }, relative to the backup directory of the archive
+    unpack(content, passphrase = null) {
+        let archive = content;
+        if (this.isEncrypted(content)) {
+            if (!passphrase) {
+                throw new Error('The archive is encrypted and no passphrase was given');
+            }
+            archive = this.decrypt(content, passphrase);
+        }
+
+        const tar = zlib.gunzipSync(archive);
+        const files = {};
+        let offset = 0;
+
+        while (offset + BLOCK_SIZE <= tar.length) {
+            const header = tar.subarray(offset, offset + BLOCK_SIZE);
+            if (header.every(byte => byte === 0)) break;
+
+            if (this.readOctal(header, 148, 8) !== this.getChecksum(header)) {
+                throw new Error(`Corrupted archive: invalid tar header at byte ${offset}`);
+            }
+
+            const size = this.readOctal(header, 124, 12);
+            const type = String.fromCharCode(header[156]);
+            const prefix = this.readString(header, 345, 155);
+            const name = (prefix ? `${prefix}/` : '') + this.readString(header, 0, 100);
+            offset += BLOCK_SIZE;
+
+            // Regular files only, without the backup directory they are packed under
+            if (type === '0' || type === '\0') {
+                files[name.split('/').slice(1).join('/')] = tar.subarray(offset, offset + size);
+            }
+            offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+        }
+
+        return files;
+    }
+
+    isEncrypted(content) {
+        return content.subarray(0, ENCRYPTED_MAGIC.length).equals(ENCRYPTED_MAGIC);
+    }
+
+    encrypt(data, passphrase) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(passphrase, salt), iv);
+        const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+        return Buffer.concat([ENCRYPTED_MAGIC, salt, iv, cipher.getAuthTag(), encrypted]);
+    }
+
+    decrypt(content, passphrase) {
+        let offset = ENCRYPTED_MAGIC.length;
+        const salt = content.subarray(offset, offset += SALT_LENGTH);
+        const iv = content.subarray(offset, offset += IV_LENGTH);
+        const tag = content.subarray(offset, offset += TAG_LENGTH);
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.deriveKey(passphrase, salt), iv);
+        decipher.setAuthTag(tag);
+        try {
+            return Buffer.concat([decipher.update(content.subarray(offset)), decipher.final()]);
+        } catch (error) {
+            throw new Error('Cannot decrypt the archive - wrong passphrase, or the archive was modified');
+        }
+    }
+
+    deriveKey(passphrase, salt) {
+        return crypto.scryptSync(passphrase, salt, 32);
+    }
+
+    // ustar header; names longer than 100 characters are split into prefix and name at a "/"
+    createHeader(filePath, size, mtime) {
+        const header = Buffer.alloc(BLOCK_SIZE);
+        let name = filePath;
+        let prefix = '';
+
+        if (Buffer.byteLength(name) > 100) {
+            const split = filePath.lastIndexOf('/', 155);
+            prefix = filePath.slice(0, split);
+            name = filePath.slice(split + 1);
+            if (split < 0 || Buffer.byteLength(name) > 100 || Buffer.byteLength(prefix) > 155) {
+                throw new Error(`File name too long for the archive: ${filePath}`);
+            }
+        }
+
+        header.write(name, 0, 100);
+        this.writeOctal(header, 0o644, 100, 8);
+        this.writeOctal(header, 0, 108, 8);
+        this.writeOctal(header, 0, 116, 8);
+        this.writeOctal(header, size, 124, 12);
+        this.writeOctal(header, mtime, 136, 12);
+        header.write('0', 156);
+        header.write('ustar\0', 257);
+        header.write('00', 263);
+        header.write(prefix, 345, 155);
+
+        // The checksum is computed with its own field filled with spaces
+        header.fill(' ', 148, 156);
+        header.write(`${this.getChecksum(header).toString(8).padStart(6, '0')}\0 `, 148);
+
+        return header;
+    }
+
+    getChecksum(header) {
+        let checksum = 0;
+        for (let index = 0; index < BLOCK_SIZE; index++) {
+            checksum += index >= 148 && index < 156 ? 32 : header[index];
+        }
+        return checksum;
+    }
+
+    writeOctal(header, value, offset, length) {
+        header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length);
+    }
+
+    readOctal(header, offset, length) {
+        return parseInt(this.readString(header, offset, length).trim() || '0', 8);
+    }
+
+    readString(header, offset, length) {
+        const field = header.subarray(offset, offset + length);
+        const end = field.indexOf(0);
+        return field.subarray(0, end === -1 ? length : end).toString();
+    }
+}
+
+module.exports = BackupArchive;
@@ -0,0 +1,155 @@
+const path = require('path');
+const BackupStore = require('./backup-store.js');
+const LocalBackupStorage = require('./local-backup-storage.js');
+const S3BackupStorage = require('./s3-backup-storage.js');
+
+// Built-in backends for settings.backupStorage.type. Any other backend is a module exporting a class:
+// "backupStorage": { "module": "./scripts/my-storage.js", ... }, constructed with the backupStorage settings.
+// A backend stores files by name and has async list() → [{ fileName, size, lastModified }],
+// upload(fileName, content), download(fileName) → Buffer and delete(fileName), and describe() for the logs.
+const STORAGE_TYPES = {
+    local: LocalBackupStorage,
+    s3: S3BackupStorage
+};
+
+// Copies of the backups in a remote storage, one archive file per backup (see backup-archive.js), so a backup
+// can be restored on any machine, e.g. a CI runner without the backups directory.
+class BackupRemote {
+    constructor(backupStore, settings) {
+        this.backupStore = backupStore;
+        this.storage = BackupRemote.createStorage(settings);
+    }
+
+    static createStorage(settings) {
+        if (settings.module) {
+            const Storage = require(path.resolve(settings.module));
+            return new Storage(settings);
+        }
+
+        const Storage = STORAGE_TYPES[settings.type];
+        if (!Storage) {
+            throw new Error(`Unknown settings.backupStorage.type "${settings.type}" (known: ${Object.keys(STORAGE_TYPES).join(', ')}, or a "module")`);
+        }
+        return new Storage(settings);
+    }
+
+    describe() {
+        return this.storage.describe();
+    }
+
+    // [{ name, fileName, size, lastModified }] of the backup archives in the storage, newest name first
+    async list() {
+        const entries = await this.storage.list();
+        return entries
+            .map(entry => ({ ...entry, name: BackupStore.getArchiveBackupName(entry.fileName) }))
+            .filter(entry => entry.name && !entry.name.startsWith('.'))
+            .sort((a, b) => b.name.localeCompare(a.name));
+    }
+
+    async find(backupName) {
+        return (await this.list()).find(entry => entry.name === backupName) || null;
+    }
+
+    // Uploads the backup as an archive and downloads it again: every file must match the checksums of the
+    // manifest, or the upload is removed and this throws. A previous upload of the backup is replaced.
+    async upload(backupName, encrypt = false) {
+        const archive = this.backupStore.createArchive(backupName, encrypt);
+        const previous = await this.find(backupName);
+
+        await this.storage.upload(archive.fileName, archive.content);
+
+        let problem = null;
+        try {
+            const incomplete = this.backupStore.findIncomplete(await this.storage.download(archive.fileName), archive.checksums);
+            if (incomplete.length > 0) {
+                problem = `does not match the checksums of ${backupName} (${incomplete.join(', ')})`;
+            }
+        } catch (error) {
+            problem = `cannot be read back (${error.message})`;
+        }
+
+        if (problem) {
+            await this.storage.delete(archive.fileName);
+            throw new Error(`Uploaded ${archive.fileName} ${problem} - it was removed again`);
+        }
+
+        // The same backup uploaded before as an encrypted archive, or the other way round
+        if (previous && previous.fileName !== archive.fileName) {
+            await this.storage.delete(previous.fileName);
+        }
+
+        return { fileName: archive.fileName, size: archive.content.length, checksums: Object.keys(archive.checksums).length };
+    }
+
+    // Round trip of a local backup through the storage under a name of its own, hidden from list(): upload, list,
+    // download, decrypt and check against the checksums, then delete it again. Throws at the first step that fails.
+    async check(backupName, encrypt = false) {
+        const archive = this.backupStore.createArchive(backupName, encrypt);
+        const fileName = `.storage-check_${Date.now()}${archive.fileName.slice(backupName.length)}`;
+        const step = async (name, action) => {
+            try {
+                return await action();
+            } catch (error) {
+                throw new Error(`${name} of ${fileName} failed: ${error.message}`);
+            }
+        };
+
+        await step('Upload', () => this.storage.upload(fileName, archive.content));
+        try {
+            const entry = await step('Listing', async () => (await this.storage.list()).find(item => item.fileName === fileName));
+            if (!entry) {
+                throw new Error(`${fileName} was uploaded, but is not in the listing`);
+            }
+
+            const content = await step('Download', () => this.storage.download(fileName));
+            if (!content.equals(archive.content)) {
+                throw new Error(`${fileName} did not download as it was uploaded (${content.length} of ${archive.content.length} bytes)`);
+            }
+            const encrypted = this.backupStore.backupArchive.isEncrypted(content);
+            if (encrypt && !encrypted) {
+                throw new Error(`${fileName} was uploaded without encryption`);
+            }
+
+            const incomplete = await step('Reading', async () => this.backupStore.findIncomplete(content, archive.checksums));
+            if (incomplete.length > 0) {
+                throw new Error(`${fileName} does not match the checksums of ${backupName} (${incomplete.join(', ')})`);
+            }
+
+            return { fileName, size: content.length, encrypted, checksums: Object.keys(archive.checksums).length };
+        } finally {
+            await step('Deleting', () => this.storage.delete(fileName));
+        }
+    }
+
+    // Downloads a backup into the backups directory as an archive, checked against its checksums
+    async download(backupName) {
+        const entry = await this.find(backupName);
+        if (!entry) {
+            throw new Error(`Backup not found: ${backupName}`);
+        }
+
+        const content = await this.storage.download(entry.fileName);
+        const archivePath = this.backupStore.saveArchive(backupName, content, entry.fileName.endsWith('.enc'));
+
+        try {
+            this.backupStore.assertIntact(backupName);
+        } catch (error) {
+            this.backupStore.deleteBackup(backupName);
+            throw error;
+        }
+
+        return archivePath;
+    }
+
+    // The metadata of a stored backup, e.g. whether it was pinned, read from the archive itself
+    async readMetadata(entry) {
+        const files = this.backupStore.backupArchive.unpack(await this.storage.download(entry.fileName), this.backupStore.getPassphrase());
+        return files['_backup_metadata.json'] ? JSON.parse(files['_backup_metadata.json'].toString('utf8')) : null;
+    }
+
+    async delete(entry) {
+        await this.storage.delete(entry.fileName);
+    }
+}
+
+module.exports = BackupRemote;
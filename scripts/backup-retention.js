@@ -0,0 +1,122 @@
+// Backup kinds, by the prefix of the backup name; any other name is a manual backup
+const BACKUP_KINDS = {
+    daily_auto_: 'daily',
+    pre_deploy_auto_: 'preDeploy',
+    pre_import_auto_: 'preImport'
+};
+
+const RULE_KEYS = ['keep', 'days', 'daily', 'weekly', 'monthly', 'yearly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grandfather-father-son retention, per backup kind ("settings.backupRetention"):
+// "backupRetention": {
+//         "daily": { "daily": 7, "weekly": 4, "monthly": 12 },
+//         "preDeploy": { "days": 30 },
+//         "default": { "keep": 10 }
+//       }
+// keep: the newest N; days: everything younger than N days; daily/weekly/monthly/yearly: the newest backup of each
+// of the last N days/weeks/months/years that have one. A backup is kept when any rule of its kind keeps it.
+// "default" applies to kinds without a rule of their own; a kind without any rule is never cleaned up.
+class BackupRetention {
+    constructor(rules = {}) {
+        this.rules = rules;
+    }
+
+    static getKind(backupName) {
+        const prefix = Object.keys(BACKUP_KINDS).find(candidate => backupName.startsWith(candidate));
+        return prefix ? BACKUP_KINDS[prefix] : 'manual';
+    }
+
+    validate() {
+        const errors = [];
+        for (const [kind, rule] of Object.entries(this.rules)) {
+            for (const [key, value] of Object.entries(rule || {})) {
+                if (!RULE_KEYS.includes(key)) {
+                    errors.push(`${kind}.${key}: unknown rule (allowed: ${RULE_KEYS.join(', ')})`);
+                } else if (!Number.isInteger(value) || value < 0) {
+                    errors.push(`${kind}.${key}: must be a whole number`);
+                }
+            }
+        }
+        return errors;
+    }
+
+    // backups: [{ name, createdAt: Date, pinned }]. Returns every backup, newest first, with the reasons it is kept;
+    // a backup without reasons is to be deleted.
+    plan(backups, now = new Date()) {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            throw new Error(`Invalid settings.backupRetention: ${errors.join('; ')}`);
+        }
+
+        const entries = backups
+            .map(backup => ({ ...backup, kind: BackupRetention.getKind(backup.name), reasons: [] }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        for (const entry of entries) {
+            if (entry.pinned) {
+                entry.reasons.push('pinned');
+            }
+            // Whether it is pinned is not known
+            if (entry.unreadable) {
+                entry.reasons.push('unreadable');
+            }
+        }
+
+        const kinds = [...new Set(entries.map(entry => entry.kind))];
+        for (const kind of kinds) {
+            const ofKind = entries.filter(entry => entry.kind === kind);
+            const rule = this.rules[kind] || this.rules.default;
+
+            if (!rule) {
+                ofKind.forEach(entry => entry.reasons.push('no retention rule'));
+                continue;
+            }
+
+            if (rule.keep !== undefined) {
+                ofKind.slice(0, rule.keep).forEach(entry => entry.reasons.push(`newest ${rule.keep}`));
+            }
+            if (rule.days !== undefined) {
+                ofKind
+                    .filter(entry => now - entry.createdAt < rule.days * DAY_MS)
+                    .forEach(entry => entry.reasons.push(`last ${rule.days} days`));
+            }
+            this.keepPerPeriod(ofKind, rule.daily, 'daily', date => date.toISOString().slice(0, 10));
+            this.keepPerPeriod(ofKind, rule.weekly, 'weekly', date => this.getIsoWeek(date));
+            this.keepPerPeriod(ofKind, rule.monthly, 'monthly', date => date.toISOString().slice(0, 7));
+            this.keepPerPeriod(ofKind, rule.yearly, 'yearly', date => date.toISOString().slice(0, 4));
+        }
+
+        return entries;
+    }
+
+    // Keeps the newest backup of each of the last `count` periods that have a backup
+    keepPerPeriod(entries, count, label, getPeriod) {
+        if (!count) {
+            return;
+        }
+
+        const periods = new Set();
+        for (const entry of entries) {
+            const period = getPeriod(entry.createdAt);
+            if (periods.has(period)) continue;
+            if (periods.size === count) break;
+
+            periods.add(period);
+            entry.reasons.push(`${label} ${period}`);
+        }
+    }
+
+    // 2025-09-03 → 2025-W36 (weeks start on Monday, in UTC)
+    getIsoWeek(date) {
+        const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        // The Thursday of the same week decides the year the week belongs to
+        day.setUTCDate(day.getUTCDate() + 3 - ((day.getUTCDay() + 6) % 7));
+        const firstThursday = new Date(Date.UTC(day.getUTCFullYear(), 0, 4));
+        const week = 1 + Math.round(((day - firstThursday) / DAY_MS - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7);
+        return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+}
+
+module.exports = BackupRetention;
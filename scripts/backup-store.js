@@ -0,0 +1,567 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const WorkflowFiles = require('./workflow-files.js');
+const BackupArchive = require('./backup-archive.js');
+
+const METADATA_FILE = '_backup_metadata.json';
+
+// A backup packed into one file (pack-backup, settings.backupArchive): backups/<name>.tar.gz, or .tar.gz.enc when
+// encrypted with the passphrase in N8N_BACKUP_PASSPHRASE
+const ARCHIVE_EXTENSIONS = ['.tar.gz', '.tar.gz.enc'];
+const PASSPHRASE_ENV = 'N8N_BACKUP_PASSPHRASE';
+
+// Workflow bodies of every backup, each content stored once: _objects/3f/3f9a…c2.json
+const OBJECTS_DIR = '_objects';
+
+// Backups as manifests. A backup directory only holds _backup_metadata.json, whose "files" map each workflow file
+// to the SHA-256 of its content in backups/_objects, so a workflow that did not change between two backups is
+// stored once. Directories written before (full copies of the workflow files) are read as they are until
+// they are migrated. Archives hold plain workflow files with their checksums, and are read in memory.
+class BackupStore {
+    constructor(backupsDir = 'backups') {
+        this.backupsDir = backupsDir;
+        this.objectsDir = path.join(backupsDir, OBJECTS_DIR);
+        this.workflowFiles = new WorkflowFiles();
+        this.backupArchive = new BackupArchive();
+        // Files of the archives opened so far, by backup name
+        this.archives = {};
+    }
+
+    getBackupPath(backupName) {
+        return path.join(this.backupsDir, backupName);
+    }
+
+    exists(backupName) {
+        return this.isDirectory(backupName) || this.getArchivePath(backupName) !== null;
+    }
+
+    isDirectory(backupName) {
+        const backupPath = this.getBackupPath(backupName);
+        return fs.existsSync(backupPath) && fs.statSync(backupPath).isDirectory();
+    }
+
+    // A directory of the same name (an unfinished pack or unpack) is read instead of the archive
+    isArchive(backupName) {
+        return !this.isDirectory(backupName) && this.getArchivePath(backupName) !== null;
+    }
+
+    getArchivePath(backupName) {
+        const archivePath = ARCHIVE_EXTENSIONS
+            .map(extension => this.getBackupPath(backupName) + extension)
+            .find(candidate => fs.existsSync(candidate));
+        return archivePath || null;
+    }
+
+    isEncrypted(backupName) {
+        return this.isArchive(backupName) && this.getArchivePath(backupName).endsWith('.enc');
+    }
+
+    // The backup directory, or the archive file
+    getLocation(backupName) {
+        return this.isArchive(backupName) ? this.getArchivePath(backupName) : this.getBackupPath(backupName);
+    }
+
+    // Backup names, newest first
+    list() {
+        if (!fs.existsSync(this.backupsDir)) {
+            return [];
+        }
+
+        const names = fs.readdirSync(this.backupsDir)
+            .filter(item => !item.startsWith('_'))
+            .flatMap(item => {
+                const archived = BackupStore.getArchiveBackupName(item);
+                if (archived) {
+                    return [archived];
+                }
+                return fs.statSync(path.join(this.backupsDir, item)).isDirectory() ? [item] : [];
+            });
+
+        return [...new Set(names)].sort((a, b) => b.localeCompare(a));
+    }
+
+    // daily_auto_20250903_022950.tar.gz → daily_auto_20250903_022950; null for a file that is no backup archive
+    static getArchiveBackupName(fileName) {
+        const extension = ARCHIVE_EXTENSIONS.find(candidate => fileName.endsWith(candidate));
+        return extension ? fileName.slice(0, -extension.length) : null;
+    }
+
+    // The timestamp in a backup name (daily_auto_20250903_022950, pre_deploy_auto_2025-09-03_022950), null without one
+    static getNameTimestamp(backupName) {
+        const match = backupName.match(/(\d{4})-?(\d{2})-?(\d{2})[_T](\d{2})_?(\d{2})_?(\d{2})/);
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day, hour, minute, second] = match;
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    }
+
+    readMetadata(backupName) {
+        if (this.isArchive(backupName)) {
+            const content = this.openArchive(backupName)[METADATA_FILE];
+            return content ? JSON.parse(content.toString('utf8')) : null;
+        }
+
+        const metadataPath = path.join(this.getBackupPath(backupName), METADATA_FILE);
+        return fs.existsSync(metadataPath) ? JSON.parse(fs.readFileSync(metadataPath, 'utf8')) : null;
+    }
+
+    getPassphrase() {
+        return process.env[PASSPHRASE_ENV] || null;
+    }
+
+    // { fileName: Buffer } of an archive
+    openArchive(backupName) {
+        if (!this.archives[backupName]) {
+            const archivePath = this.getArchivePath(backupName);
+            if (archivePath.endsWith('.enc') && !this.getPassphrase()) {
+                throw new Error(`${path.basename(archivePath)} is encrypted - set ${PASSPHRASE_ENV} to open it`);
+            }
+
+            try {
+                this.archives[backupName] = this.backupArchive.unpack(fs.readFileSync(archivePath), this.getPassphrase());
+            } catch (error) {
+                throw new Error(`${path.basename(archivePath)}: ${error.message}`);
+            }
+        }
+
+        return this.archives[backupName];
+    }
+
+    // The workflow files in the backup directory or archive itself (not those of a manifest)
+    listPlainFiles(backupName) {
+        if (this.isArchive(backupName)) {
+            return Object.keys(this.openArchive(backupName)).filter(file => !file.includes('/') && this.workflowFiles.isWorkflowFile(file));
+        }
+        return this.workflowFiles.list(this.getBackupPath(backupName));
+    }
+
+    // Content of a file in the backup directory or archive, null when there is none
+    readPlainFile(backupName, file) {
+        if (this.isArchive(backupName)) {
+            return this.openArchive(backupName)[file] || null;
+        }
+
+        const filePath = path.join(this.getBackupPath(backupName), file);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    }
+
+    // When the backup was taken: createdAt of the metadata, else the timestamp in its name, else the modification time.
+    // An archive that cannot be opened (encrypted, without the passphrase) is dated without its metadata.
+    getCreatedAt(backupName) {
+        let metadata = null;
+        try {
+            metadata = this.readMetadata(backupName);
+        } catch (error) {
+            metadata = null;
+        }
+        if (metadata && metadata.createdAt) {
+            return new Date(metadata.createdAt);
+        }
+
+        return BackupStore.getNameTimestamp(backupName) || fs.statSync(this.getLocation(backupName)).mtime;
+    }
+
+    isPinned(backupName) {
+        const metadata = this.readMetadata(backupName);
+        return !!(metadata && metadata.pinned);
+    }
+
+    // Pinned backups are never removed by the retention policy
+    setPinned(backupName, pinned, reason = null) {
+        const metadata = this.readMetadata(backupName) || { backupName };
+
+        if (pinned) {
+            metadata.pinned = { at: new Date().toISOString(), reason };
+        } else {
+            delete metadata.pinned;
+        }
+
+        if (this.isArchive(backupName)) {
+            const files = { ...this.openArchive(backupName), [METADATA_FILE]: JSON.stringify(metadata, null, 2) };
+            this.writeArchive(backupName, files, this.isEncrypted(backupName));
+            return;
+        }
+
+        this.writeManifest(backupName, metadata);
+    }
+
+    // { fileName: hash } of a manifest, null for a directory of full copies or an archive
+    getManifestFiles(backupName) {
+        if (this.isArchive(backupName)) {
+            return null;
+        }
+
+        const metadata = this.readMetadata(backupName);
+        return metadata && metadata.files ? metadata.files : null;
+    }
+
+    listWorkflowFiles(backupName) {
+        const files = this.getManifestFiles(backupName);
+        return files ? Object.keys(files) : this.listPlainFiles(backupName);
+    }
+
+    // The content hash of a workflow in a manifest; null for a directory of full copies
+    getHash(backupName, file) {
+        const files = this.getManifestFiles(backupName) || {};
+        const key = Object.keys(files).find(name => this.workflowFiles.isSameWorkflow(name, file));
+        return key ? files[key] : null;
+    }
+
+    readWorkflow(backupName, file) {
+        if (this.isArchive(backupName)) {
+            const archived = this.listPlainFiles(backupName).find(name => this.workflowFiles.isSameWorkflow(name, file));
+            if (!archived) {
+                throw new Error(`${file} is not part of backup ${backupName}`);
+            }
+            return this.workflowFiles.deserialize(this.readPlainFile(backupName, archived).toString('utf8'), this.workflowFiles.getFormat(archived));
+        }
+
+        if (!this.getManifestFiles(backupName)) {
+            return this.workflowFiles.read(path.join(this.getBackupPath(backupName), file));
+        }
+
+        const hash = this.getHash(backupName, file);
+        if (!hash) {
+            throw new Error(`${file} is not part of backup ${backupName}`);
+        }
+        return JSON.parse(this.readObject(hash));
+    }
+
+    // Stores the workflow (unless the same content is stored already) and returns its hash and size for the manifest
+    writeWorkflow(workflowData) {
+        const content = this.workflowFiles.serialize(workflowData, 'json');
+        return { hash: this.writeObject(content), size: Buffer.byteLength(content) };
+    }
+
+    writeManifest(backupName, metadata) {
+        fs.mkdirSync(this.getBackupPath(backupName), { recursive: true });
+        fs.writeFileSync(path.join(this.getBackupPath(backupName), METADATA_FILE), JSON.stringify(metadata, null, 2));
+    }
+
+    hash(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    getObjectPath(hash) {
+        return path.join(this.objectsDir, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    hasObject(hash) {
+        return fs.existsSync(this.getObjectPath(hash));
+    }
+
+    writeObject(content) {
+        const hash = this.hash(content);
+        const objectPath = this.getObjectPath(hash);
+
+        if (!fs.existsSync(objectPath)) {
+            fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+            // Renamed into place, so an interrupted backup never leaves a truncated object behind
+            const tempPath = `${objectPath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, content);
+            fs.renameSync(tempPath, objectPath);
+        }
+
+        return hash;
+    }
+
+    readObject(hash) {
+        const objectPath = this.getObjectPath(hash);
+        if (!fs.existsSync(objectPath)) {
+            throw new Error(`Backup object ${hash} is missing from ${this.objectsDir}`);
+        }
+        return fs.readFileSync(objectPath, 'utf8');
+    }
+
+    // Number of stored objects, and how many workflow files of all backups they hold
+    getStats() {
+        const objects = fs.existsSync(this.objectsDir)
+            ? fs.readdirSync(this.objectsDir).reduce((count, dir) => count + fs.readdirSync(path.join(this.objectsDir, dir)).length, 0)
+            : 0;
+        const references = this.list().reduce((count, backupName) => count + Object.keys(this.getManifestFiles(backupName) || {}).length, 0);
+        return { objects, references };
+    }
+
+    // Recomputes the SHA-256 checksums recorded in the metadata: "files" of a manifest, or "checksums" of a
+    // directory or archive of plain workflow files. Returns { checked, missing, extra, modified, totalSize }, or null when
+    // the metadata records no checksums (backups created before they were recorded).
+    checkIntegrity(backupName) {
+        const metadata = this.readMetadata(backupName);
+        const expected = metadata && (metadata.files || metadata.checksums);
+        if (!expected) {
+            return null;
+        }
+
+        const result = { checked: 0, missing: [], extra: [], modified: [], totalSize: 0 };
+
+        for (const [file, checksum] of Object.entries(expected)) {
+            const content = metadata.files
+                ? (this.hasObject(checksum) ? fs.readFileSync(this.getObjectPath(checksum)) : null)
+                : this.readPlainFile(backupName, file);
+            if (!content) {
+                result.missing.push(file);
+                continue;
+            }
+
+            result.checked++;
+            result.totalSize += content.length;
+            if (this.hash(content) !== checksum) {
+                result.modified.push(file);
+            }
+        }
+
+        // Workflow files the metadata does not know, e.g. copied into the backup directory afterwards
+        result.extra = this.listPlainFiles(backupName).filter(file => !(file in expected));
+
+        return result;
+    }
+
+    // Refuses to repack a backup whose files no longer match their checksums
+    assertIntact(backupName) {
+        const integrity = this.checkIntegrity(backupName);
+        if (integrity && integrity.missing.length + integrity.modified.length > 0) {
+            throw new Error(`${backupName} does not match the checksums in its metadata - check it with verify-backup.js`);
+        }
+    }
+
+    deleteBackup(backupName) {
+        fs.rmSync(this.getBackupPath(backupName), { recursive: true, force: true });
+        for (const extension of ARCHIVE_EXTENSIONS) {
+            fs.rmSync(this.getBackupPath(backupName) + extension, { force: true });
+        }
+        delete this.archives[backupName];
+    }
+
+    // Removes the objects no backup refers to any more; returns how many were removed.
+    // A manifest that cannot be read throws before anything is removed.
+    collectGarbage() {
+        if (!fs.existsSync(this.objectsDir)) {
+            return 0;
+        }
+
+        const referenced = new Set(this.list().flatMap(backupName => Object.values(this.getManifestFiles(backupName) || {})));
+        let removed = 0;
+
+        for (const dir of fs.readdirSync(this.objectsDir)) {
+            const dirPath = path.join(this.objectsDir, dir);
+            for (const file of fs.readdirSync(dirPath)) {
+                if (!referenced.has(path.basename(file, '.json'))) {
+                    fs.unlinkSync(path.join(dirPath, file));
+                    removed++;
+                }
+            }
+            if (fs.readdirSync(dirPath).length === 0) {
+                fs.rmdirSync(dirPath);
+            }
+        }
+
+        return removed;
+    }
+
+    // Turns a directory of full copies into a manifest. The copies are removed only after every one of them
+    // was stored and read back. Returns { files, deduplicated }, or null when it is a manifest already.
+    migrate(backupName) {
+        // An archive holds its workflows itself; unpack() turns it into a manifest
+        if (this.isArchive(backupName)) {
+            return null;
+        }
+
+        const backupPath = this.getBackupPath(backupName);
+        const metadata = this.readMetadata(backupName);
+
+        if (metadata && metadata.files) {
+            return null;
+        }
+
+        const fileNames = this.workflowFiles.list(backupPath);
+        const files = {};
+        let deduplicated = 0;
+
+        for (const file of fileNames) {
+            const content = this.workflowFiles.serialize(this.workflowFiles.read(path.join(backupPath, file)), 'json');
+            if (this.hasObject(this.hash(content))) {
+                deduplicated++;
+            }
+
+            const hash = this.writeObject(content);
+            if (this.readObject(hash) !== content) {
+                throw new Error(`Stored object ${hash} of ${file} does not match the file - nothing was removed`);
+            }
+            files[this.workflowFiles.withFormat(file, 'json')] = hash;
+        }
+
+        this.writeManifest(backupName, {
+            ...(metadata || {
+                backupName: backupName,
+                createdAt: fs.statSync(backupPath).birthtime.toISOString(),
+                workflowCount: fileNames.length
+            }),
+            files
+        });
+
+        for (const file of fileNames) {
+            fs.unlinkSync(path.join(backupPath, file));
+            // Code files, for a backup directory that was written with splitCode
+            fs.rmSync(this.workflowFiles.getStem(path.join(backupPath, file)), { recursive: true, force: true });
+        }
+
+        return { files: fileNames.length, deduplicated };
+    }
+
+    // Writes a backup out as plain workflow files and metadata, the layout a backup directory had before:
+    // for CI artifacts, or to copy a single backup somewhere else
+    extract(backupName, targetDir) {
+        fs.mkdirSync(targetDir, { recursive: true });
+
+        const files = this.listWorkflowFiles(backupName);
+        for (const file of files) {
+            this.workflowFiles.write(path.join(targetDir, file), this.readWorkflow(backupName, file));
+        }
+
+        const metadata = this.readMetadata(backupName);
+        if (metadata) {
+            // The files are written exactly as stored, so the checksums of the manifest still apply
+            const plainMetadata = { ...metadata, checksums: metadata.files || metadata.checksums };
+            delete plainMetadata.files;
+            fs.writeFileSync(path.join(targetDir, METADATA_FILE), JSON.stringify(plainMetadata, null, 2));
+        }
+
+        return files;
+    }
+
+    // Packs a backup into one archive of plain workflow files and metadata, the layout extract() writes, with the
+    // checksum of every file. The backup directory is removed once the archive was read back complete.
+    // Returns the archive path, or null when the backup is an archive already.
+    pack(backupName, encrypt = false) {
+        if (this.isArchive(backupName)) {
+            return null;
+        }
+
+        const archive = this.createArchive(backupName, encrypt);
+        const archivePath = this.saveArchive(backupName, archive.content, encrypt);
+
+        const incomplete = this.findIncomplete(fs.readFileSync(archivePath), archive.checksums);
+        if (incomplete.length > 0) {
+            fs.unlinkSync(archivePath);
+            throw new Error(`${path.basename(archivePath)} did not read back complete (${incomplete.join(', ')}) - the backup was left as it is`);
+        }
+
+        fs.rmSync(this.getBackupPath(backupName), { recursive: true, force: true });
+        return archivePath;
+    }
+
+    // The backup as one archive file, without changing it: an archive as it is (packed again, encrypted, when
+    // encryption is asked for and it is not encrypted), a directory as pack() writes it.
+    // Returns { fileName, content, checksums }, checksums being those in the metadata of the archive.
+    createArchive(backupName, encrypt = false) {
+        if (encrypt && !this.getPassphrase()) {
+            throw new Error(`Set ${PASSPHRASE_ENV} to encrypt backup archives`);
+        }
+
+        if (this.isArchive(backupName)) {
+            const archivePath = this.getArchivePath(backupName);
+            const metadata = this.readMetadata(backupName) || {};
+
+            if (encrypt && !this.isEncrypted(backupName)) {
+                this.assertIntact(backupName);
+                return {
+                    fileName: `${backupName}.tar.gz.enc`,
+                    content: this.backupArchive.pack(backupName, this.openArchive(backupName), this.getPassphrase()),
+                    checksums: metadata.checksums || {}
+                };
+            }
+            return { fileName: path.basename(archivePath), content: fs.readFileSync(archivePath), checksums: metadata.checksums || {} };
+        }
+
+        this.assertIntact(backupName);
+
+        const files = {};
+        for (const file of this.listWorkflowFiles(backupName)) {
+            files[file] = this.workflowFiles.serialize(this.readWorkflow(backupName, file), this.workflowFiles.getFormat(file));
+        }
+
+        const metadata = {
+            ...(this.readMetadata(backupName) || {
+                backupName: backupName,
+                createdAt: this.getCreatedAt(backupName).toISOString(),
+                workflowCount: Object.keys(files).length
+            }),
+            checksums: Object.fromEntries(Object.entries(files).map(([file, content]) => [file, this.hash(content)]))
+        };
+        delete metadata.files;
+        files[METADATA_FILE] = JSON.stringify(metadata, null, 2);
+
+        return {
+            fileName: backupName + (encrypt ? '.tar.gz.enc' : '.tar.gz'),
+            content: this.backupArchive.pack(backupName, files, encrypt ? this.getPassphrase() : null),
+            checksums: metadata.checksums
+        };
+    }
+
+    // Files of archive content that are missing or do not match their checksum
+    findIncomplete(content, checksums) {
+        const files = this.backupArchive.unpack(content, this.getPassphrase());
+        return Object.entries(checksums)
+            .filter(([file, checksum]) => !files[file] || this.hash(files[file]) !== checksum)
+            .map(([file]) => file);
+    }
+
+    // Turns an archive back into a manifest of the store; the archive is removed once the manifest is written.
+    // Returns the number of workflows, or null when the backup is not an archive.
+    unpack(backupName) {
+        if (!this.isArchive(backupName)) {
+            return null;
+        }
+
+        this.assertIntact(backupName);
+
+        const files = {};
+        for (const file of this.listWorkflowFiles(backupName)) {
+            files[this.workflowFiles.withFormat(file, 'json')] = this.writeWorkflow(this.readWorkflow(backupName, file)).hash;
+        }
+
+        const metadata = {
+            ...(this.readMetadata(backupName) || {
+                backupName: backupName,
+                createdAt: this.getCreatedAt(backupName).toISOString(),
+                workflowCount: Object.keys(files).length
+            }),
+            files
+        };
+        delete metadata.checksums;
+
+        const archivePath = this.getArchivePath(backupName);
+        this.writeManifest(backupName, metadata);
+        fs.unlinkSync(archivePath);
+        delete this.archives[backupName];
+
+        return Object.keys(files).length;
+    }
+
+    writeArchive(backupName, files, encrypt) {
+        return this.saveArchive(backupName, this.backupArchive.pack(backupName, files, encrypt ? this.getPassphrase() : null), encrypt);
+    }
+
+    // Writes archive content in place of the backup's previous archive, through a temporary file; returns its path
+    saveArchive(backupName, content, encrypted) {
+        const archivePath = this.getBackupPath(backupName) + (encrypted ? '.tar.gz.enc' : '.tar.gz');
+        const tempPath = `${archivePath}.${process.pid}.tmp`;
+
+        fs.mkdirSync(this.backupsDir, { recursive: true });
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, archivePath);
+
+        for (const other of ARCHIVE_EXTENSIONS.map(extension => this.getBackupPath(backupName) + extension)) {
+            if (other !== archivePath && fs.existsSync(other)) {
+                fs.unlinkSync(other);
+            }
+        }
+        delete this.archives[backupName];
+
+        return archivePath;
+    }
+}
+
+module.exports = BackupStore;
@@ -1,11 +1,16 @@
 #!/usr/bin/env node
 
+require('dotenv').config();
 const fs = require('fs');
-const path = require('path');
+const WorkflowDiff = require('./workflow-diff.js');
+const WorkflowFiles = require('./workflow-files.js');
+const BackupStore = require('./backup-store.js');
 
 class BackupComparator {
     constructor() {
         this.differences = [];
+        this.workflowFiles = new WorkflowFiles();
+        this.backupStore = new BackupStore();
     }
 
     compareBackups(backup1Name, backup2Name) {
@@ -14,38 +19,43 @@ class BackupComparator {
         console.log(`   📦 ${backup2Name}`);
         console.log('');
 
-        const backup1Path = path.join('backups', backup1Name);
-        const backup2Path = path.join('backups', backup2Name);
-
         // Verify both backups exist
-        if (!fs.existsSync(backup1Path)) {
+        if (!this.backupStore.exists(backup1Name)) {
             console.error(`❌ Backup not found: ${backup1Name}`);
             return false;
         }
 
-        if (!fs.existsSync(backup2Path)) {
+        if (!this.backupStore.exists(backup2Name)) {
             console.error(`❌ Backup not found: ${backup2Name}`);
             return false;
         }
 
-        // Get workflow files from both backups
-        const backup1Files = this.getWorkflowFiles(backup1Path);
-        const backup2Files = this.getWorkflowFiles(backup2Path);
+        // Get workflow files from both backups (an encrypted archive needs its passphrase)
+        let backup1Files;
+        let backup2Files;
+        try {
+            backup1Files = this.getWorkflowFiles(backup1Name);
+            backup2Files = this.getWorkflowFiles(backup2Name);
+        } catch (error) {
+            console.error(`❌ Cannot read backup: ${error.message}`);
+            return false;
+        }
 
         // Compare file lists
         this.compareFileLists(backup1Files, backup2Files, backup1Name, backup2Name);
 
         // Compare individual workflows
-        this.compareWorkflowContents(backup1Path, backup2Path, backup1Files, backup2Files);
+        this.compareWorkflowContents(backup1Name, backup2Name, backup1Files, backup2Files);
 
         this.reportDifferences(backup1Name, backup2Name);
 
         return this.differences.length === 0;
     }
 
-    getWorkflowFiles(backupPath) {
-        return fs.readdirSync(backupPath)
-            .filter(f => f.endsWith('.json') && !f.startsWith('_'))
+    // Listed under their .json name, so the same workflow stored as JSON and as YAML is compared, not reported missing
+    getWorkflowFiles(backupName) {
+        return this.backupStore.listWorkflowFiles(backupName)
+            .map(f => this.workflowFiles.withFormat(f, 'json'))
             .sort();
     }
 
@@ -80,25 +90,27 @@ class BackupComparator {
         console.log('');
     }
 
-    compareWorkflowContents(backup1Path, backup2Path, files1, files2) {
+    compareWorkflowContents(backup1Name, backup2Name, files1, files2) {
         // Compare common files
         const commonFiles = files1.filter(f => files2.includes(f));
 
         console.log(`🔍 Comparing ${commonFiles.length} common workflows...`);
 
         for (const file of commonFiles) {
-            this.compareWorkflowFile(
-                path.join(backup1Path, file),
-                path.join(backup2Path, file),
-                file
-            );
+            // The same content hash in both manifests: the workflow did not change
+            const hash1 = this.backupStore.getHash(backup1Name, file);
+            if (hash1 && hash1 === this.backupStore.getHash(backup2Name, file)) {
+                continue;
+            }
+
+            this.compareWorkflowFile(backup1Name, backup2Name, file);
         }
     }
 
-    compareWorkflowFile(file1Path, file2Path, fileName) {
+    compareWorkflowFile(backup1Name, backup2Name, fileName) {
         try {
-            const workflow1 = JSON.parse(fs.readFileSync(file1Path, 'utf8'));
-            const workflow2 = JSON.parse(fs.readFileSync(file2Path, 'utf8'));
+            const workflow1 = this.backupStore.readWorkflow(backup1Name, fileName);
+            const workflow2 = this.backupStore.readWorkflow(backup2Name, fileName);
 
             // Compare basic properties
             if (workflow1.name !== workflow2.name) {
@@ -119,35 +131,18 @@ class BackupComparator {
                 });
             }
 
-            // Compare node count
-            const nodes1Count = workflow1.nodes ? workflow1.nodes.length : 0;
-            const nodes2Count = workflow2.nodes ? workflow2.nodes.length : 0;
-
-            if (nodes1Count !== nodes2Count) {
-                this.differences.push({
-                    type: 'node_count_changed',
-                    file: fileName,
-                    description: `Node count changed`,
-                    details: { from: nodes1Count, to: nodes2Count }
-                });
-            }
-
-            // Compare node types (simplified comparison)
-            if (workflow1.nodes && workflow2.nodes) {
-                const types1 = workflow1.nodes.map(n => n.type).sort();
-                const types2 = workflow2.nodes.map(n => n.type).sort();
-
-                if (JSON.stringify(types1) !== JSON.stringify(types2)) {
-                    this.differences.push({
-                        type: 'node_types_changed',
-                        file: fileName,
-                        description: `Node types changed`,
-                        details: {
-                            added: types2.filter(t => !types1.includes(t)),
-                            removed: types1.filter(t => !types2.includes(t))
-                        }
-                    });
+            // Compare nodes, parameters, credentials, connections and settings
+            const workflowDiff = new WorkflowDiff();
+            for (const change of workflowDiff.describe(workflowDiff.compare(workflow1, workflow2))) {
+                const difference = { type: change.type, file: fileName, description: change.description };
+                if (change.details) {
+                    difference.details = change.details;
+                } else if (change.lines) {
+                    difference.lines = change.lines;
+                } else if ('from' in change) {
+                    difference.details = { from: change.from, to: change.to };
                 }
+                this.differences.push(difference);
             }
 
             // Compare workflow tags
@@ -166,22 +161,6 @@ class BackupComparator {
                 });
             }
 
-            // Compare connections (basic check)
-            const connections1Keys = Object.keys(workflow1.connections || {}).sort();
-            const connections2Keys = Object.keys(workflow2.connections || {}).sort();
-
-            if (JSON.stringify(connections1Keys) !== JSON.stringify(connections2Keys)) {
-                this.differences.push({
-                    type: 'connections_changed',
-                    file: fileName,
-                    description: `Workflow connections changed`,
-                    details: {
-                        from: connections1Keys.length + ' connection sources',
-                        to: connections2Keys.length + ' connection sources'
-                    }
-                });
-            }
-
         } catch (error) {
             this.differences.push({
                 type: 'comparison_error',
@@ -222,7 +201,9 @@ class BackupComparator {
                 const icon = this.getIconForDifferenceType(diff.type);
                 console.log(`   ${icon} ${diff.description}`);
 
-                if (diff.details) {
+                if (diff.lines) {
+                    diff.lines.forEach(line => console.log(`      ${line}`));
+                } else if (diff.details) {
                     if (Array.isArray(diff.details)) {
                         console.log(`      Items: ${diff.details.join(', ')}`);
                     } else if (typeof diff.details === 'object') {
@@ -251,10 +232,16 @@ class BackupComparator {
             'file_extra': '📬',
             'workflow_name_changed': '📝',
             'workflow_status_changed': '🔄',
-            'node_count_changed': '🔢',
-            'node_types_changed': '🔧',
+            'node_added': '➕',
+            'node_removed': '➖',
+            'node_renamed': '📝',
+            'node_parameter_changed': '🔧',
+            'node_credentials_changed': '🔑',
+            'node_moved': '↔️',
             'tags_changed': '🏷️',
-            'connections_changed': '🔗',
+            'connections_added': '🔗',
+            'connections_removed': '🔗',
+            'settings_changed': '⚙️',
             'comparison_error': '❌'
         };
         return icons[type] || '📋';
@@ -292,12 +279,9 @@ if (require.main === module) {
         console.log('');
         console.log('Available backups:');
 
-        const backupsDir = path.join('backups');
-        if (fs.existsSync(backupsDir)) {
-            const backups = fs.readdirSync(backupsDir)
-                .filter(item => fs.statSync(path.join(backupsDir, item)).isDirectory())
-                .sort()
-                .reverse(); // Show newest first
+        const backupStore = new BackupStore();
+        if (fs.existsSync(backupStore.backupsDir)) {
+            const backups = backupStore.list(); // Newest first
 
             if (backups.length > 0) {
                 backups.slice(0, 10).forEach(backup => console.log(`  - ${backup}`));
@@ -0,0 +1,152 @@
+const { NotFoundError } = require('./api-errors.js');
+
+// Checks the credentials used by workflow files against the credentials that exist on the target instance.
+// n8n accepts a workflow pointing at a credential that does not exist; it only fails once it runs.
+class CredentialPreflight {
+    constructor(manager) {
+        this.manager = manager;
+        // Per environment: the credentials on its instance
+        this.credentials = {};
+    }
+
+    // null when the instance does not offer the listing (older n8n versions answer 404 or 405)
+    async listCredentials(environment) {
+        if (!(environment in this.credentials)) {
+            const credentials = [];
+            const limit = this.manager.config.settings.workflowPageSize || 100;
+            let cursor = null;
+
+            do {
+                let response;
+                try {
+                    response = await this.manager.getClient(environment).get('/api/v1/credentials', {
+                        params: cursor ? { limit, cursor } : { limit }
+                    });
+                } catch (error) {
+                    if (error instanceof NotFoundError || error.status === 405) {
+                        console.warn(`⚠️  The ${environment} instance cannot list credentials (${error.message}) - skipping the credential pre-flight. Credential mappings need an id there.`);
+                        this.credentials[environment] = null;
+                        return null;
+                    }
+                    throw error;
+                }
+                credentials.push(...(response.data.data || []).map(c => ({ id: c.id, name: c.name, type: c.type })));
+                cursor = response.data.nextCursor;
+            } while (cursor);
+
+            this.credentials[environment] = credentials;
+        }
+
+        return this.credentials[environment];
+    }
+
+    // workflows: [{ baseName, workflowData }]
+    // Returns per workflow the resolved mappings and the problems found:
+    // [{ baseName, resolved: { type: { id, name, via } }, problems: [{ node, type, severity, message }] }],
+    // or null when the credentials of the instance cannot be listed
+    async check(environment, workflows) {
+        const available = await this.listCredentials(environment);
+        if (!available) {
+            return null;
+        }
+        const results = [];
+
+        for (const { baseName, workflowData } of workflows) {
+            const mappings = this.manager.getCredentialConfig(baseName, environment);
+            const resolutions = {};
+            const problems = [];
+
+            for (const node of workflowData.nodes || []) {
+                for (const [type, current] of Object.entries(node.credentials || {})) {
+                    if (mappings[type]) {
+                        if (!resolutions[type]) {
+                            resolutions[type] = this.resolveMapping(type, mappings[type], available, environment);
+                        }
+                        if (resolutions[type].error) {
+                            problems.push({ node: node.name, type, severity: 'error', message: resolutions[type].error });
+                        }
+                        continue;
+                    }
+
+                    // Without a mapping the node keeps the exported credential, which only works if the target has it too
+                    const currentName = current ? current.name || current.id : null;
+                    const exists = current && available.some(c => c.id === current.id);
+                    problems.push({
+                        node: node.name,
+                        type,
+                        severity: exists ? 'warning' : 'error',
+                        message: exists
+                            ? `no ${type} mapping for ${environment}, keeping "${currentName}"`
+                            : `no ${type} mapping for ${environment} and "${currentName}" does not exist there`
+                    });
+                }
+            }
+
+            const resolved = {};
+            for (const [type, resolution] of Object.entries(resolutions)) {
+                if (resolution.credential) {
+                    resolved[type] = { id: resolution.credential.id, name: resolution.credential.name, via: resolution.via };
+                }
+            }
+
+            results.push({ baseName, resolved, problems });
+        }
+
+        return results;
+    }
+
+    // A mapping gives an id, a name, or neither ({}), in which case the only credential of that type is used
+    resolveMapping(type, mapping, available, environment) {
+        const ofType = available.filter(c => c.type === type);
+
+        if (mapping.id) {
+            const credential = available.find(c => c.id === mapping.id);
+            if (!credential) {
+                return { error: `${type} credential ${mapping.id}${mapping.name ? ` ("${mapping.name}")` : ''} does not exist in ${environment}` };
+            }
+            if (credential.type && credential.type !== type) {
+                return { error: `credential ${mapping.id} is a ${credential.type} credential, not ${type}` };
+            }
+            return { credential, via: 'id' };
+        }
+
+        if (mapping.name) {
+            const matches = ofType.filter(c => c.name === mapping.name);
+            if (matches.length === 1) {
+                return { credential: matches[0], via: 'name' };
+            }
+            return {
+                error: matches.length === 0
+                    ? `no ${type} credential named "${mapping.name}" in ${environment}`
+                    : `${matches.length} ${type} credentials are named "${mapping.name}" in ${environment}, add the id`
+            };
+        }
+
+        if (ofType.length === 1) {
+            return { credential: ofType[0], via: 'type' };
+        }
+        return {
+            error: ofType.length === 0
+                ? `no ${type} credential exists in ${environment}`
+                : `${ofType.length} ${type} credentials exist in ${environment}, add a name or id to choose one`
+        };
+    }
+
+    printReport(environment, results) {
+        console.log(`🔑 Credential pre-flight (${environment}):`);
+
+        for (const result of results) {
+            for (const [type, credential] of Object.entries(result.resolved)) {
+                console.log(`  ✅ ${result.baseName}: ${type} → ${credential.name} (${credential.id}, by ${credential.via})`);
+            }
+            for (const problem of result.problems) {
+                console.log(`  ${problem.severity === 'error' ? '❌' : '⚠️ '} ${result.baseName} / ${problem.node}: ${problem.message}`);
+            }
+            if (Object.keys(result.resolved).length === 0 && result.problems.length === 0) {
+                console.log(`  ✅ ${result.baseName}: no credentials`);
+            }
+        }
+    }
+}
+
+module.exports = CredentialPreflight;
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const WorkflowFiles = require('./workflow-files.js');
 
 class DeploymentManager {
     constructor() {
@@ -29,8 +30,8 @@ class DeploymentManager {
             // If git diff fails, get all workflow files
             try {
                 if (fs.existsSync('workflows')) {
-                    const workflowFiles = fs.readdirSync('workflows')
-                        .filter(file => file.endsWith('.json') && !file.includes('_'))
+                    const workflowFiles = new WorkflowFiles().list('workflows')
+                        .filter(file => !file.includes('_'))
                         .map(file => `workflows/${file}`);
                     changedFiles = workflowFiles.join('\n');
                     console.log(`Found ${workflowFiles.length} workflow files in workflows directory`);
@@ -54,8 +55,7 @@ class DeploymentManager {
             // Last resort: check for any workflow files
             try {
                 if (fs.existsSync('workflows')) {
-                    const allWorkflowFiles = fs.readdirSync('workflows')
-                        .filter(file => file.endsWith('.json'))
+                    const allWorkflowFiles = new WorkflowFiles().list('workflows')
                         .map(file => `workflows/${file}`);
 
                     console.log(`Found ${allWorkflowFiles.length} total workflow files`);
@@ -67,9 +67,11 @@ class DeploymentManager {
         }
 
         for (const file of files) {
-            if (file.match(/^workflows\/(.+)\.json$/)) {
+            // The workflow file itself (JSON or YAML) or one of its code files
+            const match = file.match(/^workflows\/([^/]+?)(\.json|\.ya?ml|\/code\/.+)$/);
+            if (match) {
                 try {
-                    const baseName = this.extractWorkflowBaseName(file);
+                    const baseName = this.extractWorkflowBaseName(`workflows/${match[1]}.json`);
                     if (baseName) {
                         workflowsToDeploySet.add(baseName);
                         console.log(`📋 Detected workflow: ${baseName} (from ${file})`);
@@ -115,9 +117,10 @@ class DeploymentManager {
                 const WorkflowManager = require('./manage-workflows.js');
                 const manager = new WorkflowManager();
 
-                if (fs.existsSync(filePath)) {
+                const workflowFiles = new WorkflowFiles();
+                if (workflowFiles.exists(filePath)) {
                     // Read the actual workflow to get its name
-                    const workflow = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                    const workflow = workflowFiles.parse(filePath);
                     if (workflow.name && typeof manager.getBaseNameFromWorkflowName === 'function') {
                         const baseName = manager.getBaseNameFromWorkflowName(workflow.name);
                         console.log(`✅ Extracted base name from workflow name: ${baseName}`);
@@ -144,12 +147,13 @@ class DeploymentManager {
         }
     }
 
-    async createBackup(environment = 'prod', customName = null) {
-        console.log(`💾 Creating backup for ${environment} environment`);
-
+    async createBackup(environment = null, customName = null) {
         const WorkflowManager = require('./manage-workflows.js');
         const manager = new WorkflowManager();
 
+        environment = environment || manager.environments.getProductionEnvironment();
+        console.log(`💾 Creating backup for ${environment} environment`);
+
         try {
             const backupName = customName || `pre_deploy_auto_${new Date().toISOString().replace(/[:.]/g, '_').split('.')[0]}`;
             const result = await manager.createBackup(environment, backupName);
@@ -173,26 +177,27 @@ class DeploymentManager {
         const manager = new WorkflowManager();
 
         try {
-            const allWorkflows = await manager.getAllWorkflows();
+            const sourceEnv = manager.environments.getSourceEnvironment();
+            const allWorkflows = await manager.getAllWorkflows(sourceEnv);
             const validationResults = [];
 
             for (const workflowName of workflowNames) {
-                const devWorkflowName = `${workflowName}-dev`;
-                const devWorkflow = allWorkflows.find(w => w.name === devWorkflowName);
+                const sourceWorkflowName = workflowName + manager.getSuffix(sourceEnv);
+                const sourceWorkflow = allWorkflows.find(w => w.name === sourceWorkflowName);
 
-                if (!devWorkflow) {
+                if (!sourceWorkflow) {
                     validationResults.push({
                         workflow: workflowName,
                         valid: false,
-                        error: `Dev workflow not found: ${devWorkflowName}`
+                        error: `${sourceEnv} workflow not found: ${sourceWorkflowName}`
                     });
                 } else {
                     validationResults.push({
                         workflow: workflowName,
                         valid: true,
-                        devWorkflow: devWorkflow
+                        sourceWorkflow: sourceWorkflow
                     });
-                    console.log(`✅ Found dev workflow: ${devWorkflowName}`);
+                    console.log(`✅ Found ${sourceEnv} workflow: ${sourceWorkflowName}`);
                 }
             }
 
@@ -211,46 +216,70 @@ class DeploymentManager {
     }
 
     async deployWorkflows(workflowNames, version = null) {
-        console.log(`🚀 Deploying ${workflowNames.length} workflows to production`);
+        const WorkflowManager = require('./manage-workflows.js');
+        const manager = new WorkflowManager();
+        const targetEnv = manager.environments.getProductionEnvironment();
+
+        console.log(`🚀 Deploying ${workflowNames.length} workflows to ${targetEnv}`);
         if (version) {
             console.log(`📌 Using version ${version} for workflow variables`);
         }
 
-        const WorkflowManager = require('./manage-workflows.js');
-        const manager = new WorkflowManager();
-
         const deploymentResults = [];
 
         try {
-            for (const workflowName of workflowNames) {
-                console.log(`🔄 Importing workflow: ${workflowName}`);
+            // Sub-workflows first, so a parent never points at a workflow that is not deployed yet
+            const orderedNames = await manager.getDependencyOrder(workflowNames);
 
-                try {
-                    const result = await manager.importLocalWorkflows('prod', [workflowName], version);
+            // Nothing is imported when a credential is missing in the target environment
+            await manager.checkCredentials(targetEnv, orderedNames.map(name => manager.generateFileName(name)));
+
+            // One import for all workflows, so they are saved settings.concurrency at a time, each after the
+            // workflows it calls
+            let importResults = [];
+            let importError = null;
+            try {
+                importResults = await manager.importLocalWorkflows(targetEnv, orderedNames, version, { credentialsChecked: true });
+            } catch (error) {
+                importError = error;
+            }
+
+            for (const workflowName of orderedNames) {
+                const fileName = manager.generateFileName(workflowName);
+                const result = importResults.find(r => manager.workflowFiles.isSameWorkflow(r.fileName, fileName));
+
+                if (result && result.status !== 'failed') {
                     deploymentResults.push({
                         workflow: workflowName,
                         status: 'success',
-                        result: result
+                        result: [result],
+                        // Reported separately: an activation failure does not fail (or roll back) the deployment
+                        activation: result.activation || null
                     });
                     console.log(`✅ Successfully imported: ${workflowName}`);
-                } catch (error) {
+                } else {
+                    const error = importError ? importError.message : result ? result.error : `No workflow file found for ${workflowName}`;
                     deploymentResults.push({
                         workflow: workflowName,
                         status: 'failed',
-                        error: error.message
+                        error: error
                     });
-                    console.error(`❌ Failed to import ${workflowName}: ${error.message}`);
+                    console.error(`❌ Failed to import ${workflowName}: ${error}`);
                 }
             }
 
             const successCount = deploymentResults.filter(r => r.status === 'success').length;
             const failCount = deploymentResults.filter(r => r.status === 'failed').length;
 
-            console.log(`📊 Deployment summary: ${successCount} successful, ${failCount} failed`);
+            const activationFailCount = deploymentResults.filter(r => r.activation && r.activation.status === 'failed').length;
+
+            console.log(`📊 Deployment summary: ${successCount} successful, ${failCount} failed, ${activationFailCount} activation failures`);
 
             if (failCount > 0) {
                 const failedWorkflows = deploymentResults.filter(r => r.status === 'failed').map(r => r.workflow);
-                throw new Error(`Some deployments failed: ${failedWorkflows.join(', ')}`);
+                const error = new Error(`Some deployments failed: ${failedWorkflows.join(', ')}`);
+                error.deploymentResults = deploymentResults;
+                throw error;
             }
 
             return deploymentResults;
@@ -267,11 +296,12 @@ class DeploymentManager {
         const manager = new WorkflowManager();
 
         try {
-            const allWorkflows = await manager.getAllWorkflows();
+            const targetEnv = manager.environments.getProductionEnvironment();
+            const allWorkflows = await manager.getAllWorkflows(targetEnv);
             const verificationResults = [];
 
             for (const workflowName of workflowNames) {
-                const prodWorkflowName = `${workflowName}-prod`;
+                const prodWorkflowName = workflowName + manager.getSuffix(targetEnv);
                 const prodWorkflow = allWorkflows.find(w => w.name === prodWorkflowName);
 
                 if (!prodWorkflow) {
@@ -295,7 +325,9 @@ class DeploymentManager {
             const failedVerifications = verificationResults.filter(r => !r.verified);
             if (failedVerifications.length > 0) {
                 const errors = failedVerifications.map(f => f.error).join(', ');
-                throw new Error(`Verification failed: ${errors}`);
+                const error = new Error(`Verification failed: ${errors}`);
+                error.verificationResults = verificationResults;
+                throw error;
             }
 
             console.log(`✅ All ${workflowNames.length} workflows verified successfully`);
@@ -306,6 +338,112 @@ class DeploymentManager {
         }
     }
 
+    // Names of the target workflows that already exist, taken right before deploying,
+    // so a rollback knows which workflows to restore and which ones to delete
+    async snapshotTargetWorkflows(workflowNames) {
+        const WorkflowManager = require('./manage-workflows.js');
+        const manager = new WorkflowManager();
+        const targetEnv = manager.environments.getProductionEnvironment();
+
+        const allWorkflows = await manager.getAllWorkflows(targetEnv);
+        const targetNames = workflowNames.map(name => name + manager.getSuffix(targetEnv));
+
+        return allWorkflows
+            .filter(w => targetNames.includes(w.name))
+            .map(w => w.name);
+    }
+
+    // What the operator reads in the log: whether production is back to where it was, and if not, where to restore it from
+    getRollbackMessage(rollback, deploymentError) {
+        if (rollback.status === 'success') {
+            return `Deployment failed and was rolled back: ${deploymentError}`;
+        }
+
+        const restoreHint = rollback.backupName
+            ? `restore it by hand with: node scripts/manage-workflows.js restore ${rollback.backupName}`
+            : 'no pre-deploy backup was taken to restore it from';
+        const outcome = rollback.status === 'partial'
+            ? `was only partly rolled back (restored: ${rollback.restored.join(', ') || 'none'}, deleted: ${rollback.deleted.join(', ') || 'none'})`
+            : 'could not be rolled back';
+
+        return `Deployment failed and ${outcome} - production is NOT in its previous state, ${restoreHint}. ` +
+            `Rollback errors: ${rollback.errors.join('; ')}. Deployment error: ${deploymentError}`;
+    }
+
+    // Restores workflows that existed before the deploy from the pre-deploy backup
+    // and deletes the ones the deploy created
+    async rollbackDeployment(workflowNames, backupName, existingBefore) {
+        const WorkflowManager = require('./manage-workflows.js');
+        const manager = new WorkflowManager();
+        const targetEnv = manager.environments.getProductionEnvironment();
+
+        console.log(`⏪ Rolling back deployment of ${workflowNames.join(', ')} in ${targetEnv}`);
+
+        const rollback = {
+            status: 'success',
+            backupName: backupName,
+            restored: [],
+            deleted: [],
+            errors: []
+        };
+
+        const toRestore = workflowNames.filter(name => existingBefore.includes(name + manager.getSuffix(targetEnv)));
+        const toDelete = workflowNames.filter(name => !toRestore.includes(name));
+
+        if (toRestore.length > 0) {
+            if (!backupName) {
+                rollback.errors.push(`No pre-deploy backup to restore from: ${toRestore.join(', ')}`);
+            } else {
+                try {
+                    const restoreResults = await manager.restoreFromBackup(backupName, toRestore);
+                    for (const result of restoreResults) {
+                        if (result.status === 'success') {
+                            rollback.restored.push(result.workflowName);
+                        } else {
+                            rollback.errors.push(`Failed to restore ${result.fileName}: ${result.error}`);
+                        }
+                    }
+                    if (restoreResults.length < toRestore.length) {
+                        rollback.errors.push(`Backup ${backupName} is missing some of: ${toRestore.join(', ')}`);
+                    }
+                } catch (error) {
+                    rollback.errors.push(`Restore from ${backupName} failed: ${error.message}`);
+                }
+            }
+        }
+
+        if (toDelete.length > 0) {
+            try {
+                const allWorkflows = await manager.getAllWorkflows(targetEnv);
+                for (const workflowName of toDelete) {
+                    const targetName = workflowName + manager.getSuffix(targetEnv);
+                    const created = allWorkflows.find(w => w.name === targetName);
+                    if (!created) {
+                        continue;
+                    }
+                    try {
+                        await manager.deleteWorkflow(targetEnv, created.id);
+                        rollback.deleted.push(targetName);
+                        console.log(`  🗑️  Deleted newly created workflow: ${targetName}`);
+                    } catch (error) {
+                        rollback.errors.push(`Failed to delete ${targetName}: ${error.message}`);
+                    }
+                }
+            } catch (error) {
+                rollback.errors.push(`Could not list ${targetEnv} workflows: ${error.message}`);
+            }
+        }
+
+        if (rollback.errors.length > 0) {
+            rollback.status = rollback.restored.length + rollback.deleted.length > 0 ? 'partial' : 'failed';
+            console.error(`❌ Rollback ${rollback.status}: ${rollback.errors.join('; ')}`);
+        } else {
+            console.log(`✅ Rollback completed: ${rollback.restored.length} restored, ${rollback.deleted.length} deleted`);
+        }
+
+        return rollback;
+    }
+
     generateDeploymentSummary(deploymentData) {
         const {
             workflowNames,
@@ -315,10 +453,16 @@ class DeploymentManager {
             skipBackup,
             deploymentResults,
             verificationResults,
-            version
+            version,
+            error,
+            rollback
         } = deploymentData;
 
         let summary = `## Production Deployment Summary\n\n`;
+        if (error) {
+            summary += `**Status:** ❌ Failed${rollback ? ` - rollback ${rollback.status}` : ''}\n`;
+            summary += `**Error:** ${error}\n`;
+        }
         summary += `**Deployed workflows:** ${workflowNames.join(', ')}\n`;
         summary += `**Deployed by:** ${deployedBy}\n`;
         summary += `**Date:** ${new Date().toUTCString()}\n`;
@@ -348,6 +492,22 @@ class DeploymentManager {
             summary += `\n`;
         }
 
+        // Add activation results
+        const activationResults = (deploymentResults || []).filter(r => r.status === 'success');
+        if (activationResults.length > 0) {
+            summary += `### Activation Results\n`;
+            for (const result of activationResults) {
+                if (!result.activation) {
+                    summary += `- ⚪ ${result.workflow} - no activation policy, activate manually if needed\n`;
+                } else if (result.activation.status === 'failed') {
+                    summary += `- ❌ ${result.workflow} - ${result.activation.policy}: ${result.activation.error}\n`;
+                } else {
+                    summary += `- ${result.activation.active ? '🟢' : '🔴'} ${result.workflow} - ${result.activation.policy} (${result.activation.status})\n`;
+                }
+            }
+            summary += `\n`;
+        }
+
         // Add verification results
         if (verificationResults && verificationResults.length > 0) {
             summary += `### Verification Results\n`;
@@ -361,6 +521,19 @@ class DeploymentManager {
             summary += `\n`;
         }
 
+        // Add rollback outcome
+        if (rollback) {
+            const status = rollback.status === 'success' ? '✅' : '❌';
+            summary += `### Rollback\n`;
+            summary += `**Status:** ${status} ${rollback.status}\n`;
+            summary += `**Restored from ${rollback.backupName || 'backup'}:** ${rollback.restored.length > 0 ? rollback.restored.join(', ') : 'none'}\n`;
+            summary += `**Deleted (created by this deployment):** ${rollback.deleted.length > 0 ? rollback.deleted.join(', ') : 'none'}\n`;
+            for (const rollbackError of rollback.errors) {
+                summary += `- ❌ ${rollbackError}\n`;
+            }
+            summary += `\n`;
+        }
+
         return summary;
     }
 
@@ -478,10 +651,18 @@ class DeploymentManager {
         body += this.generateDeploymentSummary(deploymentData);
         body += `\n`;
 
+        const results = deploymentData.deploymentResults || [];
+        const withoutPolicy = results.filter(r => r.status === 'success' && !r.activation).map(r => r.workflow);
+        const activationFailed = results.filter(r => r.activation && r.activation.status === 'failed').map(r => r.workflow);
+
         body += `### Required Actions\n`;
         body += `- [ ] Verify workflows in n8n Cloud interface\n`;
-        body += `- [ ] Test workflows before activation\n`;
-        body += `- [ ] Manually activate workflows when ready\n`;
+        if (withoutPolicy.length > 0) {
+            body += `- [ ] Test and manually activate workflows without an activation policy: ${withoutPolicy.join(', ')}\n`;
+        }
+        if (activationFailed.length > 0) {
+            body += `- [ ] Fix activation failures: ${activationFailed.join(', ')}\n`;
+        }
         body += `- [ ] Monitor first executions\n`;
         body += `- [ ] Close this issue when verification complete\n\n`;
 
@@ -512,7 +693,7 @@ if (require.main === module) {
                     break;
 
                 case 'create-backup':
-                    const environment = args[0] || 'prod';
+                    const environment = args[0] || null;
                     const customName = args[1] || null;
                     const _backupName = await deploymentManager.createBackup(environment, customName);
                     console.log(`Created backup: ${_backupName}`);
@@ -558,24 +739,31 @@ if (require.main === module) {
                     // Validate workflows
                     await deploymentManager.validateWorkflowsExist(deployWorkflows);
 
-                    // Deploy workflows
-                    const deploymentResults = await deploymentManager.deployWorkflows(deployWorkflows, version);
-
-                    // Verify deployment
-                    const verificationResults = await deploymentManager.verifyDeployment(deployWorkflows);
-
-                    // Generate summary
                     const deploymentData = {
                         workflowNames: deployWorkflows,
                         deployedBy,
                         commitSha,
                         backupName,
                         skipBackup,
-                        deploymentResults,
-                        verificationResults,
                         version
                     };
 
+                    // Deploy and verify as one unit: any failure rolls production back
+                    const existingBefore = await deploymentManager.snapshotTargetWorkflows(deployWorkflows);
+                    try {
+                        deploymentData.deploymentResults = await deploymentManager.deployWorkflows(deployWorkflows, version);
+                        deploymentData.verificationResults = await deploymentManager.verifyDeployment(deployWorkflows);
+                    } catch (error) {
+                        deploymentData.deploymentResults = deploymentData.deploymentResults || error.deploymentResults;
+                        deploymentData.verificationResults = error.verificationResults;
+                        deploymentData.error = error.message;
+                        deploymentData.rollback = await deploymentManager.rollbackDeployment(deployWorkflows, backupName, existingBefore);
+                        deploymentManager.saveDeploymentSummary(deploymentData);
+
+                        throw new Error(deploymentManager.getRollbackMessage(deploymentData.rollback, error.message));
+                    }
+
+                    // Generate summary
                     deploymentManager.saveDeploymentSummary(deploymentData);
 
                     console.log('✅ Full deployment completed successfully');
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const WorkflowManager = require('./manage-workflows.js');
+const WorkflowDiff = require('./workflow-diff.js');
+
+// Exit codes: 0 = in sync, 1 = the check itself failed, 2 = drift found
+const EXIT_DRIFT = 2;
+
+class DriftDetector {
+    constructor(manager = new WorkflowManager()) {
+        this.manager = manager;
+        this.workflowDiff = new WorkflowDiff();
+    }
+
+    // Compares every managed workflow in the environment against what deploying workflows/*.json would produce
+    async detectDrift(environment = this.manager.environments.getProductionEnvironment(), specificWorkflows = null) {
+        this.manager.environments.get(environment);
+        console.log(`🔍 Checking ${environment} workflows for drift from git...`);
+
+        const managedConfigs = this.manager.managedWorkflows.managedWorkflows.filter(config =>
+            this.manager.getWorkflowEnvironments(config).includes(environment) &&
+            (!specificWorkflows || specificWorkflows.includes(config.baseName))
+        );
+
+        const liveWorkflows = await this.manager.getAllWorkflows(environment);
+        const results = [];
+
+        // Credential mappings without an id are resolved the same way an import resolves them
+        const workflowFiles = managedConfigs
+            .map(config => this.manager.generateFileName(config.baseName))
+            .filter(file => this.manager.workflowFiles.exists(path.join('workflows', file)));
+        try {
+            await this.manager.resolveCredentials(environment, workflowFiles);
+        } catch (error) {
+            console.warn(`⚠️ Could not resolve credentials in ${environment}: ${error.message}`);
+        }
+
+        for (const config of managedConfigs) {
+            try {
+                results.push(await this.checkWorkflow(config.baseName, environment, liveWorkflows));
+            } catch (error) {
+                console.error(`❌ Failed to check ${config.baseName}:`, error.message);
+                results.push({ baseName: config.baseName, status: 'error', error: error.message, changes: [] });
+            }
+        }
+
+        const report = {
+            checkedAt: new Date().toISOString(),
+            environment: environment,
+            totalWorkflows: results.length,
+            inSync: results.filter(r => r.status === 'in-sync').length,
+            drifted: results.filter(r => r.status === 'drifted').length,
+            cosmetic: results.filter(r => r.status === 'cosmetic').length,
+            missing: results.filter(r => r.status === 'missing').length,
+            untracked: results.filter(r => r.status === 'untracked').length,
+            errors: results.filter(r => r.status === 'error').length,
+            workflows: results
+        };
+
+        this.reportResults(report);
+        return report;
+    }
+
+    async checkWorkflow(baseName, environment, liveWorkflows) {
+        const workflowName = baseName + this.manager.getSuffix(environment);
+        const filePath = path.join('workflows', this.manager.generateFileName(baseName));
+
+        if (!this.manager.workflowFiles.exists(filePath)) {
+            return { baseName, workflowName, status: 'untracked', changes: [] };
+        }
+
+        const liveSummary = liveWorkflows.find(w => w.name === workflowName);
+        if (!liveSummary) {
+            return { baseName, workflowName, status: 'missing', changes: [] };
+        }
+
+        // The live workflow, normalized the same way an export would write it
+        const response = await this.manager.getClient(environment).get(`/api/v1/workflows/${liveSummary.id}`);
+        const live = this.manager.normalizeExportedWorkflow(response.data);
+
+        // The workflow file with the environment's variables and credentials applied, as a deploy would.
+        // The version is taken from the live workflow, as it is not part of the workflow file.
+        const version = this.getDeployedVersion(live);
+        const workflowFile = this.manager.workflowFiles.read(filePath);
+        const expected = this.manager.prepareWorkflowForEnvironment(workflowFile, environment, version).workflowData;
+        await this.manager.remapWorkflowReferences(
+            expected,
+            this.manager.getEnvironmentFromWorkflowName(workflowFile.name),
+            environment,
+            liveWorkflows
+        );
+
+        // Normalized like the live workflow, so fields an export drops do not count as drift
+        const diff = this.workflowDiff.compare(
+            this.withoutVersionNote(this.manager.normalizeExportedWorkflow(expected)),
+            this.withoutVersionNote(live)
+        );
+        const status = diff.hasFunctionalChanges ? 'drifted' : diff.hasChanges ? 'cosmetic' : 'in-sync';
+
+        return {
+            baseName,
+            workflowName,
+            workflowId: liveSummary.id,
+            status,
+            deployedVersion: version,
+            updatedAt: response.data.updatedAt,
+            changes: this.manager.secretResolver.mask(this.workflowDiff.describe(diff))
+        };
+    }
+
+    getVersionNote(workflow) {
+        return (workflow.nodes || []).find(node =>
+            node.type === 'n8n-nodes-base.stickyNote' &&
+            (node.name === 'Version Info' || node.parameters?.content?.includes('Version'))
+        );
+    }
+
+    // Release deploys inject "version" into the Configuration node: `return {...};`
+    getDeployedVersion(workflow) {
+        const configNode = (workflow.nodes || []).find(node =>
+            (node.name === 'Configuration' || node.name === 'Variables') && node.type === 'n8n-nodes-base.code'
+        );
+        const match = configNode && (configNode.parameters.jsCode || '').match(/^return ([\s\S]*);$/);
+
+        try {
+            return match ? JSON.parse(match[1]).version || null : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The Version Info sticky note carries the deploy date, so it always differs from a fresh transform
+    withoutVersionNote(workflow) {
+        const versionNote = this.getVersionNote(workflow);
+        return versionNote
+            ? { ...workflow, nodes: workflow.nodes.filter(node => node !== versionNote) }
+            : workflow;
+    }
+
+    reportResults(report) {
+        console.log(`\n📊 Drift Report (${report.environment}):`);
+        console.log('='.repeat(50));
+
+        const icons = { 'in-sync': '✅', 'drifted': '⚠️ ', 'cosmetic': '🎨', 'missing': '❓', 'untracked': '📭', 'error': '❌' };
+
+        for (const result of report.workflows) {
+            console.log(`${icons[result.status]} ${result.workflowName || result.baseName}: ${result.status}`);
+            if (result.status === 'missing') {
+                console.log(`      Not found in ${report.environment}`);
+            } else if (result.status === 'untracked') {
+                console.log('      No workflow file in workflows/');
+            } else if (result.status === 'error') {
+                console.log(`      ${result.error}`);
+            }
+            for (const change of result.changes) {
+                console.log(`      ${change.description}`);
+                (change.lines || change.details || []).forEach(line => console.log(`         ${line}`));
+            }
+        }
+
+        console.log(`\n🏁 ${report.drifted} drifted, ${report.cosmetic} cosmetic only, ${report.inSync} in sync, ${report.missing} missing, ${report.errors} errors`);
+    }
+
+    saveReport(report, outputPath = null) {
+        const reportPath = outputPath || path.join('logs', `_drift_report_${report.environment}.json`);
+        fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`📄 Drift report saved: ${reportPath}`);
+        return reportPath;
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+
+    const outputIndex = args.indexOf('--output');
+    const outputPath = outputIndex !== -1 ? args[outputIndex + 1] : null;
+    const positional = args.filter((arg, index) => !arg.startsWith('--') && (outputIndex === -1 || index !== outputIndex + 1));
+    const [environment, ...workflows] = positional;
+
+    (async () => {
+        try {
+            const detector = new DriftDetector();
+            const report = await detector.detectDrift(environment || undefined, workflows.length > 0 ? workflows : null);
+            detector.saveReport(report, outputPath);
+
+            if (report.errors > 0) {
+                process.exit(1);
+            }
+            process.exit(report.drifted > 0 || report.missing > 0 ? EXIT_DRIFT : 0);
+        } catch (error) {
+            console.error('❌ Drift check failed:', error.message);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = DriftDetector;
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+
+// Used when n8n-config.json has no "environments" section (original dev/prod setup)
+const DEFAULT_ENVIRONMENTS = [
+    { name: 'dev', suffix: '-dev', protected: false },
+    { name: 'prod', suffix: '-prod', protected: true }
+];
+
+class EnvironmentRegistry {
+    constructor(config = null) {
+        const n8nConfig = config || JSON.parse(fs.readFileSync('config/n8n-config.json', 'utf8'));
+        const declared = n8nConfig.environments || DEFAULT_ENVIRONMENTS;
+
+        // Top-level n8n settings are the connection profile for environments without their own
+        this.defaultConnection = n8nConfig.n8n || {};
+
+        // The order of the list is the promotion order: dev → ... → prod
+        this.environments = declared.map(env => ({
+            name: env.name,
+            suffix: env.suffix,
+            protected: env.protected === true,
+            description: env.description || '',
+            connection: env.connection || null
+        }));
+
+        // Suffixes are only required to tell environments apart on a shared instance
+        for (const env of this.environments) {
+            if (env.suffix === undefined) {
+                env.suffix = this.hasDedicatedInstance(env.name) ? '' : `-${env.name}`;
+            }
+        }
+
+        this.validate();
+    }
+
+    getConnection(environment) {
+        const env = this.get(environment);
+        const connection = env.connection || {};
+        const defaults = this.defaultConnection;
+
+        const baseUrl = (connection.baseUrl || defaults.baseUrl || '').replace(/\/+$/, '');
+        const apiKeyEnv = connection.apiKeyEnv || defaults.apiKeyEnv || 'N8N_API_KEY';
+
+        // connection.apiKey / n8n.apiKey - for github actions only, do not put your api key into config files!
+        const apiKey = connection.apiKey || (connection.apiKeyEnv
+            ? process.env[connection.apiKeyEnv]
+            : defaults.apiKey || process.env[apiKeyEnv]);
+
+        return {
+            environment: env.name,
+            baseUrl,
+            apiKey,
+            apiKeyEnv,
+            timeout: connection.timeout || defaults.timeout || 30000
+        };
+    }
+
+    getInstanceUrl(environment) {
+        const env = this.get(environment);
+        const baseUrl = (env.connection && env.connection.baseUrl) || this.defaultConnection.baseUrl || '';
+        return baseUrl.replace(/\/+$/, '');
+    }
+
+    hasDedicatedInstance(environment) {
+        const instanceUrl = this.getInstanceUrl(environment);
+        return this.environments.every(env => env.name === environment || this.getInstanceUrl(env.name) !== instanceUrl);
+    }
+
+    // Environments living on the same n8n instance, grouped by base URL
+    getInstances() {
+        const instances = new Map();
+        for (const env of this.environments) {
+            const instanceUrl = this.getInstanceUrl(env.name);
+            if (!instances.has(instanceUrl)) {
+                instances.set(instanceUrl, []);
+            }
+            instances.get(instanceUrl).push(env.name);
+        }
+        return instances;
+    }
+
+    validate() {
+        if (this.environments.length === 0) {
+            throw new Error('At least one environment must be declared in n8n-config.json');
+        }
+
+        const names = new Set();
+
+        for (const env of this.environments) {
+            if (!env.name || !/^[a-z0-9_-]+$/i.test(env.name)) {
+                throw new Error(`Invalid environment name: "${env.name}"`);
+            }
+            if (names.has(env.name)) {
+                throw new Error(`Duplicate environment name: ${env.name}`);
+            }
+            names.add(env.name);
+        }
+
+        // Workflow names must stay unique per instance, so environments sharing one need distinct suffixes
+        for (const [instanceUrl, envNames] of this.getInstances()) {
+            const suffixes = new Set();
+            for (const envName of envNames) {
+                const suffix = this.get(envName).suffix;
+                if (suffixes.has(suffix)) {
+                    throw new Error(`Environments ${envNames.join(', ')} share the instance ${instanceUrl || '(default)'} and need distinct suffixes (duplicate: "${suffix}")`);
+                }
+                suffixes.add(suffix);
+            }
+        }
+    }
+
+    getNames() {
+        return this.environments.map(env => env.name);
+    }
+
+    has(environment) {
+        return this.environments.some(env => env.name === environment);
+    }
+
+    get(environment) {
+        const env = this.environments.find(e => e.name === environment);
+        if (!env) {
+            throw new Error(`Unknown environment: "${environment}" (declared: ${this.getNames().join(', ')})`);
+        }
+        return env;
+    }
+
+    getSuffix(environment) {
+        return this.has(environment) ? this.get(environment).suffix : '';
+    }
+
+    isProtected(environment) {
+        return this.has(environment) && this.get(environment).protected;
+    }
+
+    // First environment in the chain - where workflows are developed
+    getSourceEnvironment() {
+        return this.environments[0].name;
+    }
+
+    // Last environment in the chain - the production target
+    getProductionEnvironment() {
+        return this.environments[this.environments.length - 1].name;
+    }
+
+    getNextEnvironment(environment) {
+        const index = this.getNames().indexOf(this.get(environment).name);
+        return index < this.environments.length - 1 ? this.environments[index + 1].name : null;
+    }
+
+    getPreviousEnvironment(environment) {
+        const index = this.getNames().indexOf(this.get(environment).name);
+        return index > 0 ? this.environments[index - 1].name : null;
+    }
+
+    // Promotion always moves one step along the declared chain
+    validatePromotion(fromEnv, toEnv) {
+        this.get(fromEnv);
+        this.get(toEnv);
+
+        const next = this.getNextEnvironment(fromEnv);
+        if (next !== toEnv) {
+            const expected = next ? `${fromEnv} → ${next}` : `nothing (${fromEnv} is the last environment)`;
+            throw new Error(`Cannot promote ${fromEnv} → ${toEnv}: the promotion chain only allows ${expected}`);
+        }
+    }
+
+    // Longest suffix first, so "-prod" never shadows e.g. "-preprod"
+    getSuffixesBySpecificity() {
+        return this.environments
+            .filter(env => env.suffix)
+            .sort((a, b) => b.suffix.length - a.suffix.length);
+    }
+
+    getEnvironmentFromWorkflowName(workflowName) {
+        const match = this.getSuffixesBySpecificity().find(env => workflowName.endsWith(env.suffix));
+        return match ? match.name : null;
+    }
+
+    getBaseNameFromWorkflowName(workflowName) {
+        const match = this.getSuffixesBySpecificity().find(env => workflowName.endsWith(env.suffix));
+        return match ? workflowName.substring(0, workflowName.length - match.suffix.length) : workflowName;
+    }
+
+    getWorkflowName(baseName, environment) {
+        return baseName + this.getSuffix(environment);
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const registry = new EnvironmentRegistry();
+
+    console.log('🌍 Declared environments (promotion order):');
+    registry.environments.forEach((env, index) => {
+        const protection = env.protected ? ' 🔒 protected' : '';
+        console.log(`  ${index + 1}. ${env.name} (suffix: "${env.suffix}")${protection} → ${registry.getInstanceUrl(env.name)}`);
+    });
+}
+
+module.exports = EnvironmentRegistry;
@@ -190,22 +190,18 @@ class InteractiveWorkflowSelector {
         console.log('\n📋 Managed Workflows');
         console.log('====================');
 
+        const environments = this.manager.environments.getNames();
+
         console.log('Environment filter:');
         console.log('1. All environments');
-        console.log('2. Development only');
-        console.log('3. Production only');
+        environments.forEach((env, index) => {
+            console.log(`${index + 2}. ${env} only`);
+        });
 
-        const choice = await this.askQuestion('\nEnter your choice (1-3): ');
+        const choice = await this.askQuestion(`\nEnter your choice (1-${environments.length + 1}): `);
 
-        let environment = null;
-        switch (choice.trim()) {
-            case '2':
-                environment = 'dev';
-                break;
-            case '3':
-                environment = 'prod';
-                break;
-        }
+        // Anything outside the list falls back to "All environments"
+        const environment = environments[parseInt(choice.trim()) - 2] || null;
 
         await this.manager.handleCommand('list', environment ? [environment] : []);
         await this.showMainMenu();
@@ -249,12 +245,16 @@ class InteractiveWorkflowSelector {
         console.log('\n💾 Create Backup');
         console.log('================');
 
+        // Production first, as it is the recommended backup target
+        const environments = this.manager.environments.getNames().reverse();
+
         console.log('Environment to backup:');
-        console.log('1. Production (recommended)');
-        console.log('2. Development');
+        environments.forEach((env, index) => {
+            console.log(`${index + 1}. ${env}${index === 0 ? ' (recommended)' : ''}`);
+        });
 
-        const envChoice = await this.askQuestion('\nEnter your choice (1-2): ');
-        const environment = envChoice.trim() === '2' ? 'dev' : 'prod';
+        const envChoice = await this.askQuestion(`\nEnter your choice (1-${environments.length}): `);
+        const environment = environments[parseInt(envChoice.trim()) - 1] || environments[0];
 
         const customName = await this.askQuestion('\nCustom backup name (optional, press Enter for auto): ');
 
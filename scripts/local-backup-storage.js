@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Backup storage in a directory outside the working tree, e.g. a mounted network share:
+// "backupStorage": { "type": "local", "path": "/mnt/backups/n8n" }
+class LocalBackupStorage {
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new Error('settings.backupStorage.path is required for the local backend');
+        }
+        this.dir = path.resolve(options.path);
+    }
+
+    describe() {
+        return this.dir;
+    }
+
+    async list() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.dir)
+            .filter(fileName => fs.statSync(path.join(this.dir, fileName)).isFile())
+            .map(fileName => {
+                const stats = fs.statSync(path.join(this.dir, fileName));
+                return { fileName, size: stats.size, lastModified: stats.mtime };
+            });
+    }
+
+    // Renamed into place, so a listing never shows a partly written file
+    async upload(fileName, content) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const tempPath = path.join(this.dir, `.${fileName}.${process.pid}.tmp`);
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, path.join(this.dir, fileName));
+    }
+
+    async download(fileName) {
+        const filePath = path.join(this.dir, fileName);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`${fileName} not found in ${this.dir}`);
+        }
+        return fs.readFileSync(filePath);
+    }
+
+    async delete(fileName) {
+        fs.rmSync(path.join(this.dir, fileName), { force: true });
+    }
+}
+
+module.exports = LocalBackupStorage;
@@ -3,54 +3,274 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const EnvironmentRegistry = require('./environment-registry.js');
+const N8nApiClient = require('./n8n-api-client.js');
+const WorkflowDiff = require('./workflow-diff.js');
+const WorkflowNormalizer = require('./workflow-normalizer.js');
+const WorkflowFiles = require('./workflow-files.js');
+const WorkflowReferences = require('./workflow-references.js');
+const WorkflowDependencies = require('./workflow-dependencies.js');
+const CredentialPreflight = require('./credential-preflight.js');
+const SecretResolver = require('./secret-resolver.js');
+const VariableSchema = require('./variable-schema.js');
+const VariablesSync = require('./variables-sync.js');
+const TaskPool = require('./task-pool.js');
+const BackupStore = require('./backup-store.js');
+const BackupRetention = require('./backup-retention.js');
+const BackupRemote = require('./backup-remote.js');
+const { NotFoundError, UnauthorizedError } = require('./api-errors.js');
+
+const { version: TOOL_VERSION } = require('../package.json');
+
+const ACTIVATION_POLICIES = ['always', 'preserve-previous', 'never'];
+
+// Workflows exported, imported, backed up or restored at the same time, unless settings.concurrency says otherwise
+const DEFAULT_CONCURRENCY = 4;
+
+// Where a workflow's variables go: its Configuration node, or n8n's instance variables ($vars)
+const VARIABLES_TARGETS = ['configurationNode', 'n8nVariables'];
+
+// Trigger nodes whose "path" becomes part of a webhook URL shared by the whole instance
+const WEBHOOK_NODE_TYPES = ['n8n-nodes-base.webhook', 'n8n-nodes-base.formTrigger'];
+
+// Stands in for the id of a sub-workflow a dry-run plans to create; n8n assigns the real one
+const PLANNED_WORKFLOW_ID = '<created by this run>';
 
 class WorkflowManager {
-    constructor() {
+    constructor(options = {}) {
         this.config = JSON.parse(fs.readFileSync('config/n8n-config.json', 'utf8'));
         this.managedWorkflows = JSON.parse(fs.readFileSync('config/managed-workflows.json', 'utf8'));
+        this.environments = new EnvironmentRegistry(this.config);
+
+        // One API client per n8n instance, shared by environments living on the same instance
+        this.clients = {};
+
+        // Dry-run: nothing is written to n8n, the changes are collected into a plan instead
+        this.dryRun = options.dryRun === true;
+        this.plan = null;
+        this.workflowDiff = new WorkflowDiff();
+        this.workflowReferences = new WorkflowReferences();
+
+        // The deterministic file format shared by exports, backups and drift checks
+        this.exportSettings = this.config.settings.export || {};
+        this.workflowNormalizer = new WorkflowNormalizer(this.exportSettings);
+        this.workflowFiles = new WorkflowFiles();
+        this.backupStore = new BackupStore();
+        // Copies of the backups in settings.backupStorage (local directory, S3, ...); null to keep them only in backups/
+        this.backupRemote = this.config.settings.backupStorage
+            ? new BackupRemote(this.backupStore, this.config.settings.backupStorage)
+            : null;
+
+        // Credential mappings resolved against the target instance: { env: { baseName: { type: { id, name } } } }
+        this.credentialPreflight = new CredentialPreflight(this);
+        this.resolvedCredentials = {};
+
+        // ${env:NAME}, ${file:path} and ${secret:KEY} references in variables
+        this.secretResolver = new SecretResolver(this.config.settings.secrets || {});
+        this.variableSchema = new VariableSchema();
+        this.variablesSync = new VariablesSync(this);
+
+        this.taskPool = new TaskPool(this.config.settings.concurrency || DEFAULT_CONCURRENCY);
+        // Per environment: the workflow list shared by every import, deploy and restore in this run
+        this.workflowLists = {};
+        this.dependencyGraph = null;
+    }
+
+    getClient(environment = this.environments.getSourceEnvironment()) {
+        const connection = this.environments.getConnection(environment);
+        const clientKey = `${connection.baseUrl}|${connection.apiKeyEnv}`;
 
-        this.client = axios.create({
-            baseURL: this.config.n8n.baseUrl,
-            headers: {
-                // this.config.n8n.apiKey - for github actions only, do not put your api key into config files!
-                'X-N8N-API-KEY': this.config.n8n.apiKey || process.env.N8N_API_KEY,
-                'Content-Type': 'application/json'
+        if (!this.clients[clientKey]) {
+            if (!connection.baseUrl) {
+                throw new Error(`No n8n base URL configured for environment "${environment}"`);
             }
+            if (!connection.apiKey) {
+                throw new Error(`No API key for environment "${environment}": set the ${connection.apiKeyEnv} environment variable`);
+            }
+
+            this.clients[clientKey] = new N8nApiClient(connection, {
+                ...this.config.settings.api,
+                // Request bodies carry resolved secrets in the Configuration node
+                mask: value => this.secretResolver.mask(value)
+            });
+        }
+
+        return this.clients[clientKey];
+    }
+
+    // Updates the existing workflow or creates a new one. A workflow deleted between
+    // listing and saving (PUT returns 404) is created instead of failing the run.
+    // "active" is the state n8n reports after saving: an import can leave an active workflow inactive.
+    async saveWorkflow(environment, existingWorkflow, workflowData) {
+        const client = this.getClient(environment);
+
+        if (existingWorkflow) {
+            try {
+                const response = await client.put(`/api/v1/workflows/${existingWorkflow.id}`, workflowData);
+                const active = response.data && typeof response.data.active === 'boolean' ? response.data.active : null;
+                if (active !== null) {
+                    await this.updateCachedWorkflow(environment, existingWorkflow.id, { active });
+                }
+                return { action: 'updated', id: existingWorkflow.id, active };
+            } catch (error) {
+                if (!(error instanceof NotFoundError)) {
+                    throw error;
+                }
+                console.warn(`⚠️  ${workflowData.name} (${existingWorkflow.id}) no longer exists in ${environment}, creating it`);
+                await this.updateCachedWorkflow(environment, existingWorkflow.id, null);
+            }
+        }
+
+        const createResponse = await client.post('/api/v1/workflows', workflowData);
+
+        // Workflows saved later in the same run may call this one
+        await this.updateCachedWorkflow(environment, createResponse.data.id, { name: workflowData.name, active: false });
+
+        return { action: 'created', id: createResponse.data.id, active: createResponse.data.active === true };
+    }
+
+    async deleteWorkflow(environment, workflowId) {
+        await this.getClient(environment).delete(`/api/v1/workflows/${workflowId}`);
+        await this.updateCachedWorkflow(environment, workflowId, null);
+    }
+
+    // The workflows of an environment, listed once per run. Workflows saved, deleted or (de)activated by the run
+    // are kept up to date in it; getAllWorkflows always asks n8n.
+    getWorkflowList(environment) {
+        if (!this.workflowLists[environment]) {
+            this.workflowLists[environment] = this.getAllWorkflows(environment).catch(error => {
+                delete this.workflowLists[environment];
+                throw error;
+            });
+        }
+        return this.workflowLists[environment];
+    }
+
+    // Applies a change made by this run to the cached workflow list; null removes the workflow
+    async updateCachedWorkflow(environment, workflowId, changes) {
+        if (!this.workflowLists[environment]) {
+            return;
+        }
+
+        const workflows = await this.workflowLists[environment];
+        const index = workflows.findIndex(w => w.id === workflowId);
+
+        if (changes === null) {
+            if (index !== -1) {
+                workflows.splice(index, 1);
+            }
+        } else if (index === -1) {
+            workflows.push({ id: workflowId, ...changes });
+        } else {
+            Object.assign(workflows[index], changes);
+        }
+    }
+
+    // Runs task(item) for every item, settings.concurrency at a time, and returns the results in item order.
+    // Tasks record their own failures instead of throwing. With a dependency graph, the items are in dependency
+    // order and an item waits for the earlier items it calls, so a sub-workflow is saved before its callers
+    // are pointed at it.
+    runWorkflowTasks(items, task, { graph = null, getBaseName = null } = {}) {
+        const started = {};
+
+        return this.taskPool.map(items, item => {
+            if (!graph) {
+                return task(item);
+            }
+
+            const baseName = getBaseName(item);
+            const callees = (graph[baseName] || []).filter(callee => started[callee]);
+            started[baseName] = Promise.allSettled(callees.map(callee => started[callee])).then(() => task(item));
+            return started[baseName];
         });
     }
 
-    async getAllWorkflows() {
+    // Walks every page of GET /api/v1/workflows by following nextCursor.
+    // Filters are applied server-side: { tags: ['a', 'b'], active: true, limit: 100 }
+    async *iterateWorkflows(environment = this.environments.getSourceEnvironment(), filters = {}) {
+        const params = {
+            limit: filters.limit || this.config.settings.workflowPageSize || 100
+        };
+        if (filters.tags && filters.tags.length > 0) {
+            params.tags = [].concat(filters.tags).join(',');
+        }
+        if (filters.active !== undefined && filters.active !== null) {
+            params.active = filters.active;
+        }
+
+        let cursor = null;
+        do {
+            const response = await this.getClient(environment).get('/api/v1/workflows', {
+                params: cursor ? { ...params, cursor } : params
+            });
+
+            for (const workflow of response.data.data || []) {
+                yield workflow;
+            }
+
+            cursor = response.data.nextCursor || null;
+        } while (cursor);
+    }
+
+    async getAllWorkflows(environment = this.environments.getSourceEnvironment(), filters = {}) {
         try {
-            const response = await this.client.get('/api/v1/workflows');
-            return response.data.data;
+            const workflows = [];
+            for await (const workflow of this.iterateWorkflows(environment, filters)) {
+                workflows.push(workflow);
+            }
+            return workflows;
         } catch (error) {
-            console.error('❌ Failed to fetch workflows:', error.response?.data || error.message);
+            console.error(`❌ Failed to fetch ${environment} workflows: ${error.message}`);
             throw error;
         }
     }
 
-    async getManagedWorkflows(environment = null) {
-        const allWorkflows = await this.getAllWorkflows();
+    // Stops paging as soon as the workflow is found
+    async findWorkflowByName(workflowName, environment = this.environments.getSourceEnvironment()) {
+        try {
+            for await (const workflow of this.iterateWorkflows(environment)) {
+                if (workflow.name === workflowName) {
+                    return workflow;
+                }
+            }
+            return null;
+        } catch (error) {
+            console.error(`❌ Failed to fetch ${environment} workflows: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getManagedWorkflows(environment = null, filters = {}) {
+        if (!environment) {
+            // Each environment may live on its own instance, so collect them one by one
+            const workflows = [];
+            for (const env of this.environments.getNames()) {
+                workflows.push(...await this.getManagedWorkflows(env, filters));
+            }
+            return workflows;
+        }
+
+        const allWorkflows = await this.getAllWorkflows(environment, filters);
         const managedNames = this.getManagedWorkflowNames(environment);
 
-        return allWorkflows.filter(workflow =>
-            managedNames.includes(workflow.name)
-        );
+        return allWorkflows
+            .filter(workflow => managedNames.includes(workflow.name))
+            .map(workflow => ({ ...workflow, environment }));
     }
 
     getManagedWorkflowNames(environment = null) {
         const names = [];
-        const suffix = environment ? this.getSuffix(environment) : '';
 
         for (const workflow of this.managedWorkflows.managedWorkflows) {
+            const workflowEnvironments = this.getWorkflowEnvironments(workflow);
+
             if (environment) {
-                if (['dev', 'prod'].includes(environment)) {
-                    names.push(workflow.baseName + suffix);
+                if (workflowEnvironments.includes(environment)) {
+                    names.push(workflow.baseName + this.getSuffix(environment));
                 }
             } else {
                 // Get all environments for this workflow
-                for (const env of ['dev', 'prod']) {
+                for (const env of workflowEnvironments) {
                     names.push(workflow.baseName + this.getSuffix(env));
                 }
             }
@@ -59,29 +279,22 @@ class WorkflowManager {
         return names;
     }
 
+    // A managed workflow may restrict itself to a subset of the declared environments
+    getWorkflowEnvironments(workflowConfig) {
+        return workflowConfig.environments || this.environments.getNames();
+    }
+
     getSuffix(environment) {
-        const suffixes = {
-            'dev': '-dev',
-            'prod': '-prod',
-        };
-        return suffixes[environment] || '';
+        return this.environments.getSuffix(environment);
     }
 
     getBaseNameFromWorkflowName(workflowName) {
-        // Check if the workflow name has a suffix and remove it
-        if (workflowName.endsWith('-dev')) {
-            return workflowName.substring(0, workflowName.length - 4);
-        }
-        if (workflowName.endsWith('-prod')) {
-            return workflowName.substring(0, workflowName.length - 5);
-        }
-        return workflowName;
+        return this.environments.getBaseNameFromWorkflowName(workflowName);
     }
 
     getEnvironmentFromWorkflowName(workflowName) {
-        if (workflowName.endsWith('-dev')) return 'dev';
-        if (workflowName.endsWith('-prod')) return 'prod';
-        return 'dev'; // Default to dev if no suffix is found
+        // Default to the first environment in the chain if no suffix is found
+        return this.environments.getEnvironmentFromWorkflowName(workflowName) || this.environments.getSourceEnvironment();
     }
 
     async exportManagedWorkflows(environment, specificWorkflows = null) {
@@ -99,24 +312,26 @@ class WorkflowManager {
 
         console.log(`📋 Found ${workflowsToExport.length} workflows to export`);
 
-        const exportResults = [];
         const exportDir = path.join('workflows');
         fs.mkdirSync(exportDir, { recursive: true });
 
-        for (const workflow of workflowsToExport) {
+        const exportResults = await this.runWorkflowTasks(workflowsToExport, async workflow => {
             try {
-                const exportResult = await this.exportSingleWorkflow(workflow, exportDir);
-                exportResults.push(exportResult);
+                const exportResult = await this.exportSingleWorkflow(workflow, exportDir, environment, {
+                    splitCode: this.exportSettings.splitCode === true,
+                    format: this.exportSettings.format || 'json'
+                });
                 console.log(`✅ Exported: ${workflow.name}`);
+                return exportResult;
             } catch (error) {
                 console.error(`❌ Failed to export ${workflow.name}:`, error.message);
-                exportResults.push({
+                return {
                     name: workflow.name,
                     status: 'failed',
                     error: error.message
-                });
+                };
             }
-        }
+        });
 
         // Create export summary
         this.createExportSummary(exportResults, environment);
@@ -124,40 +339,124 @@ class WorkflowManager {
     }
 
     async getSpecificWorkflows(workflowBaseNames, environment) {
-        const allWorkflows = await this.getAllWorkflows();
+        const allWorkflows = await this.getAllWorkflows(environment);
 
-        return allWorkflows.filter(workflow => {
-            const baseName = this.getBaseNameFromWorkflowName(workflow.name);
-            const workflowEnv = this.getEnvironmentFromWorkflowName(workflow.name);
+        // Only include workflows whose name is exactly the base name plus this environment's suffix
+        const workflowNames = workflowBaseNames.map(baseName => baseName + this.getSuffix(environment));
 
-            // Only include workflows that match both the base name and the environment
-            return workflowBaseNames.includes(baseName) && workflowEnv === environment;
-        });
+        return allWorkflows
+            .filter(workflow => workflowNames.includes(workflow.name))
+            .map(workflow => ({ ...workflow, environment }));
     }
 
-    async exportSingleWorkflow(workflow, exportDir) {
-        const response = await this.client.get(`/api/v1/workflows/${workflow.id}`);
-        const fullWorkflow = response.data;
-
-        // Clean workflow data
-        const cleanWorkflow = {
-            ...fullWorkflow,
-            id: undefined,
-            createdAt: undefined,
-            updatedAt: undefined,
-            versionId: undefined
-        };
+    async exportSingleWorkflow(workflow, exportDir, environment = workflow.environment, { splitCode = false, format = 'json' } = {}) {
+        const cleanWorkflow = this.restoreSecretReferences(await this.fetchExportedWorkflow(workflow, environment), environment);
 
         // Generate filename based on the workflow name
-        const fileName = this.generateFileName(workflow.name);
+        const fileName = path.basename(this.workflowFiles.withFormat(this.generateFileName(workflow.name), format));
         const filePath = path.join(exportDir, fileName);
 
-        fs.writeFileSync(filePath, JSON.stringify(cleanWorkflow, null, 2));
+        this.workflowFiles.write(filePath, cleanWorkflow, { splitCode, format });
+
+        return this.getExportResult(workflow, environment, fileName);
+    }
+
+    // Backups are JSON with the code inline, stored once per content in the backup store. They keep the live values,
+    // resolved secrets included, as restore and rollback write them back unchanged.
+    async backupSingleWorkflow(workflow, environment) {
+        const cleanWorkflow = await this.fetchExportedWorkflow(workflow, environment);
+        const stored = this.backupStore.writeWorkflow(cleanWorkflow);
+
+        // Read back as a restore reads it: it has to give back the same workflow, Configuration values included
+        const restored = this.workflowFiles.deserialize(this.backupStore.readObject(stored.hash), 'json');
+        const problems = this.workflowNormalizer.verify(cleanWorkflow, restored);
+        if (problems.length > 0) {
+            throw new Error(`The backup of ${workflow.name} would not restore the same (${problems.join('; ')})`);
+        }
 
+        return {
+            ...this.getExportResult(workflow, environment, this.generateFileName(workflow.name)),
+            ...stored
+        };
+    }
+
+    async fetchExportedWorkflow(workflow, environment) {
+        const response = await this.getClient(environment).get(`/api/v1/workflows/${workflow.id}`);
+        const cleanWorkflow = this.normalizeExportedWorkflow(response.data);
+
+        // A drop rule must never remove something the import needs
+        if (this.exportSettings.verify !== false) {
+            const problems = this.workflowNormalizer.verify(response.data, cleanWorkflow);
+            if (problems.length > 0) {
+                throw new Error(`The normalized file would not import the same (${problems.join('; ')}) - check settings.export.drop`);
+            }
+        }
+
+        return cleanWorkflow;
+    }
+
+    // Exported workflows end up in git: the Configuration node gets the references of variables.<env>
+    // back instead of the secrets an import resolved them to. A file still holding a known secret is never written.
+    restoreSecretReferences(workflowData, environment) {
+        const baseName = this.getBaseNameFromWorkflowName(workflowData.name);
+        const workflowConfig = this.managedWorkflows.managedWorkflows.find(w => w.baseName === baseName);
+        const variables = workflowConfig && workflowConfig.variables && workflowConfig.variables[environment];
+        const references = variables && this.getVariablesTarget(baseName) === 'configurationNode'
+            ? Object.keys(variables).filter(key => this.secretResolver.hasReference(variables[key]))
+            : [];
+
+        if (references.length > 0) {
+            // Resolved here as well, so the check below knows what to look for. A secret that is not available
+            // here cannot be looked for, but its variable is replaced all the same.
+            for (const key of references) {
+                try {
+                    this.secretResolver.resolve(variables[key], { environment }, `${baseName} variables.${environment}.${key}`);
+                } catch (error) {
+                    console.warn(`⚠️  ${error.message} - cannot check ${workflowData.name} for its value`);
+                }
+            }
+
+            const configNode = (workflowData.nodes || []).find(node =>
+                (node.name === 'Configuration' || node.name === 'Variables') && node.type === 'n8n-nodes-base.code'
+            );
+            if (configNode) {
+                const values = this.parseConfigurationCode(configNode.parameters && configNode.parameters.jsCode);
+                if (!values) {
+                    throw new Error(`Cannot put the secret references back into the ${configNode.name} node of ${workflowData.name}: its code is not the generated "return {...};"`);
+                }
+
+                for (const key of references.filter(key => key in values)) {
+                    values[key] = variables[key];
+                }
+                configNode.parameters.jsCode = `return ${JSON.stringify(values, null, 2)};`;
+            }
+        }
+
+        if (this.secretResolver.containsSecret(JSON.stringify(workflowData))) {
+            throw new Error(`${workflowData.name} holds a resolved secret outside its Configuration variables - not writing it`);
+        }
+
+        return workflowData;
+    }
+
+    // The variables of a Configuration node written by injectEnvironmentVariables, or null for hand-written code
+    parseConfigurationCode(jsCode) {
+        const match = typeof jsCode === 'string' && jsCode.trim().match(/^return ([\s\S]*);$/);
+        if (!match) {
+            return null;
+        }
+        try {
+            return JSON.parse(match[1]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getExportResult(workflow, environment, fileName) {
         return {
             name: workflow.name,
             baseName: this.getBaseNameFromWorkflowName(workflow.name),
-            environment: this.getEnvironmentFromWorkflowName(workflow.name),
+            environment: environment || this.getEnvironmentFromWorkflowName(workflow.name),
             fileName: fileName,
             status: 'success',
             active: workflow.active,
@@ -165,6 +464,78 @@ class WorkflowManager {
         };
     }
 
+    // What an exported workflow file looks like: the live workflow without volatile fields, in a stable order
+    normalizeExportedWorkflow(fullWorkflow) {
+        return this.workflowNormalizer.normalize(fullWorkflow);
+    }
+
+    // Rewrites workflow files exported before normalization (or edited by hand) into the normalized format
+    normalizeWorkflowFiles(dir = 'workflows') {
+        const files = this.workflowFiles.list(dir);
+        const results = [];
+
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            try {
+                const workflowData = this.workflowFiles.read(filePath);
+                const normalized = this.normalizeExportedWorkflow(workflowData);
+
+                const problems = this.workflowNormalizer.verify(workflowData, normalized);
+                if (problems.length > 0) {
+                    throw new Error(`the normalized file would not import the same (${problems.join('; ')})`);
+                }
+
+                // Also moves Code node source in or out of code files, following settings.export.splitCode
+                if (this.workflowFiles.write(filePath, normalized, { splitCode: this.exportSettings.splitCode === true })) {
+                    console.log(`✅ Normalized: ${file}`);
+                    results.push({ file, status: 'normalized' });
+                } else {
+                    results.push({ file, status: 'unchanged' });
+                }
+            } catch (error) {
+                console.error(`❌ Failed to normalize ${file}: ${error.message}`);
+                results.push({ file, status: 'failed', error: error.message });
+            }
+        }
+
+        console.log(`📊 ${results.filter(r => r.status === 'normalized').length} normalized, ${results.filter(r => r.status === 'unchanged').length} already normalized, ${results.filter(r => r.status === 'failed').length} failed`);
+        return results;
+    }
+
+    // Moves every workflow file to the given format (json or yaml), keeping code files where they are
+    convertWorkflowFiles(format, dir = 'workflows') {
+        const results = [];
+
+        for (const file of this.workflowFiles.list(dir)) {
+            const filePath = path.join(dir, file);
+            try {
+                if (this.workflowFiles.getFormat(filePath) === format) {
+                    results.push({ file, status: 'unchanged' });
+                    continue;
+                }
+
+                const workflowData = this.workflowFiles.read(filePath);
+                const splitCode = JSON.stringify(this.workflowFiles.parse(filePath)) !== JSON.stringify(workflowData);
+
+                // The old file is replaced, so the new one has to hold exactly the same workflow
+                const roundTrip = this.workflowFiles.deserialize(this.workflowFiles.serialize(workflowData, format), format);
+                if (JSON.stringify(roundTrip) !== JSON.stringify(workflowData)) {
+                    throw new Error(`the ${format} file would not hold the same workflow`);
+                }
+
+                this.workflowFiles.write(filePath, workflowData, { splitCode, format });
+                console.log(`✅ Converted: ${file} → ${path.basename(this.workflowFiles.withFormat(file, format))}`);
+                results.push({ file, status: 'converted' });
+            } catch (error) {
+                console.error(`❌ Failed to convert ${file}: ${error.message}`);
+                results.push({ file, status: 'failed', error: error.message });
+            }
+        }
+
+        console.log(`📊 ${results.filter(r => r.status === 'converted').length} converted, ${results.filter(r => r.status === 'unchanged').length} already ${format}, ${results.filter(r => r.status === 'failed').length} failed`);
+        return results;
+    }
+
     generateFileName(workflowName) {
         // First, get the base name without any environment suffix
         const baseName = this.getBaseNameFromWorkflowName(workflowName);
@@ -176,112 +547,121 @@ class WorkflowManager {
             .toLowerCase() + '.json';
     }
 
+    // Deploy to the production environment from the environment right before it in the chain
     async deployDevToProd(workflowBaseNames) {
-        console.log(`🔄 Deploying workflows from dev to prod...`);
+        const toEnv = this.environments.getProductionEnvironment();
+        const fromEnv = this.environments.getPreviousEnvironment(toEnv);
+
+        if (!fromEnv) {
+            throw new Error(`Nothing to deploy from: ${toEnv} is the only declared environment`);
+        }
+
+        return await this.promoteWorkflows(fromEnv, toEnv, workflowBaseNames);
+    }
+
+    async promoteWorkflows(fromEnv, toEnv, workflowBaseNames) {
+        this.environments.validatePromotion(fromEnv, toEnv);
+
+        console.log(`🔄 ${this.dryRun ? 'Planning promotion' : 'Promoting workflows'} from ${fromEnv} to ${toEnv}...`);
+
+        if (this.dryRun) {
+            this.startPlan('promote', toEnv, { fromEnv });
+        }
 
         // Create a backup before deploying if enabled in settings
-        if (this.config.settings.backupBeforeDeploy) {
-            console.log(`💾 Creating backup before deploying to production...`);
-            await this.createBackup('prod', `pre_deploy_auto_${new Date().toISOString().replace(/[:.]/g, '').split('T')[0]}_${new Date().toTimeString().split(' ')[0].replace(/:/g, '')}`);
+        if (this.config.settings.backupBeforeDeploy && !this.dryRun) {
+            console.log(`💾 Creating backup before promoting to ${toEnv}...`);
+            await this.createBackup(toEnv, `pre_deploy_auto_${new Date().toISOString().replace(/[:.]/g, '').split('T')[0]}_${new Date().toTimeString().split(' ')[0].replace(/:/g, '')}`);
 
-            // Ensure cleanup runs after backup during deployment to production
+            // Ensure cleanup runs after backup during deployment
             await this.cleanupOldBackups();
         }
 
-        // First, export dev versions
-        const devWorkflows = await this.getSpecificWorkflows(workflowBaseNames, 'dev');
+        // First, find the source versions, sub-workflows before the workflows calling them
+        const order = await this.getDependencyOrder(workflowBaseNames);
+        const rank = workflow => order.indexOf(this.getBaseNameFromWorkflowName(workflow.name));
+        const sourceWorkflows = (await this.getSpecificWorkflows(workflowBaseNames, fromEnv))
+            .sort((a, b) => rank(a) - rank(b));
+
+        await this.checkCredentials(toEnv, sourceWorkflows.map(workflow => this.generateFileName(workflow.name)));
 
-        if (devWorkflows.length === 0) {
-            console.log('❌ No dev workflows found to deploy');
+        if (sourceWorkflows.length === 0) {
+            console.log(`❌ No ${fromEnv} workflows found to promote`);
             return [];
         }
 
-        const deployResults = [];
-
-        for (const devWorkflow of devWorkflows) {
+        const deployResults = await this.runWorkflowTasks(sourceWorkflows, async sourceWorkflow => {
             try {
-                const result = await this.deploySingleWorkflow(devWorkflow);
-                deployResults.push(result);
+                return await this.deploySingleWorkflow(sourceWorkflow, fromEnv, toEnv);
             } catch (error) {
-                console.error(`❌ Failed to deploy ${devWorkflow.name}:`, error.message);
-                deployResults.push({
-                    baseName: this.getBaseNameFromWorkflowName(devWorkflow.name),
+                console.error(`❌ Failed to deploy ${sourceWorkflow.name}:`, error.message);
+                return {
+                    baseName: this.getBaseNameFromWorkflowName(sourceWorkflow.name),
                     status: 'failed',
                     error: error.message
-                });
+                };
             }
+        }, { graph: await this.getDependencyGraph(), getBaseName: workflow => this.getBaseNameFromWorkflowName(workflow.name) });
+
+        if (this.dryRun) {
+            this.savePlan(deployResults);
         }
 
         return deployResults;
     }
 
-    async deploySingleWorkflow(devWorkflow) {
-        const baseName = this.getBaseNameFromWorkflowName(devWorkflow.name);
-        // Add the prod suffix to the base name
-        const prodWorkflowName = baseName + this.getSuffix('prod');
+    async deploySingleWorkflow(sourceWorkflow, fromEnv, toEnv) {
+        const baseName = this.getBaseNameFromWorkflowName(sourceWorkflow.name);
+        // Add the target suffix to the base name
+        const targetWorkflowName = baseName + this.getSuffix(toEnv);
 
-        console.log(`🔄 Deploying: ${devWorkflow.name} → ${prodWorkflowName}`);
+        console.log(`🔄 Deploying: ${sourceWorkflow.name} → ${targetWorkflowName}`);
 
-        // Get dev workflow details
-        const devWorkflowData = fs.readFileSync(path.join('workflows', this.generateFileName(devWorkflow.name)), 'utf8');
-        const devWorkflowParsed = JSON.parse(devWorkflowData);
+        // Get source workflow details
+        const sourceWorkflowParsed = this.workflowFiles.read(path.join('workflows', this.generateFileName(sourceWorkflow.name)));
 
-        // Clean and prepare for prod
-        const prodWorkflowData = {
-            ...devWorkflowParsed,
-            id: undefined,
-            name: prodWorkflowName,
-            active: undefined,
-            isArchived: undefined,
-            createdAt: undefined,
-            updatedAt: undefined,
-            versionId: undefined,
-            meta: undefined,
-            pinData: undefined,
-            triggerCount: undefined,
-            shared: undefined,
-            tags: undefined,
-        };
+        // Apply the target suffix, variables and credentials
+        const { workflowData: targetWorkflowData, variables, credentials, rewrites } = this.prepareWorkflowForEnvironment(sourceWorkflowParsed, toEnv);
 
-        // Inject environment variables if available
-        this.injectEnvironmentVariables(prodWorkflowData, baseName, 'prod');
+        // Check if a target version already exists
+        const allWorkflows = await this.getWorkflowList(toEnv);
+        const existingTargetWorkflow = allWorkflows.find(w => w.name === targetWorkflowName);
 
-        // Clean node IDs to avoid conflicts
-        this.cleanupNodeWebhookIds(prodWorkflowData);
+        // Point sub-workflow calls at the target environment's copies
+        const references = await this.remapWorkflowReferences(
+            targetWorkflowData,
+            this.getEnvironmentFromWorkflowName(sourceWorkflowParsed.name),
+            toEnv,
+            allWorkflows
+        );
 
-        // Change credentials if needed
-        this.changeCredentials(prodWorkflowData, baseName, 'prod');
-
-        // Check if a prod version already exists
-        const allWorkflows = await this.getAllWorkflows();
-        const existingProdWorkflow = allWorkflows.find(w => w.name === prodWorkflowName);
-
-        let result;
-        if (existingProdWorkflow) {
-            // Update the existing prod workflow
-            await this.client.put(`/api/v1/workflows/${existingProdWorkflow.id}`, prodWorkflowData);
-            result = {
-                baseName: baseName,
-                action: 'updated',
-                status: 'success',
-                devName: devWorkflow.name,
-                prodName: prodWorkflowName,
-                prodId: existingProdWorkflow.id
-            };
-        } else {
-            // Create a new prod workflow
-            const createResponse = await this.client.post('/api/v1/workflows', prodWorkflowData);
-            result = {
-                baseName: baseName,
-                action: 'created',
-                status: 'success',
-                devName: devWorkflow.name,
-                prodName: prodWorkflowName,
-                prodId: createResponse.data.id
-            };
+        const instanceVariables = await this.syncInstanceVariables(toEnv, baseName);
+
+        if (this.dryRun) {
+            const planned = await this.planWorkflowChange(toEnv, existingTargetWorkflow, targetWorkflowData, { credentials, variables, instanceVariables, references, rewrites });
+            return { ...planned, baseName, fromEnv, toEnv, sourceName: sourceWorkflow.name, targetName: targetWorkflowName };
         }
 
-        console.log(`✅ ${result.action}: ${prodWorkflowName}`);
+        const saved = await this.saveWorkflow(toEnv, existingTargetWorkflow, targetWorkflowData);
+        const result = {
+            baseName: baseName,
+            action: saved.action,
+            status: 'success',
+            fromEnv: fromEnv,
+            toEnv: toEnv,
+            sourceName: sourceWorkflow.name,
+            targetName: targetWorkflowName,
+            targetId: saved.id,
+            previouslyActive: saved.action === 'updated' ? existingTargetWorkflow.active : false,
+            active: saved.active,
+            rewrites: rewrites,
+            instanceVariables: instanceVariables
+        };
+
+        console.log(`✅ ${result.action}: ${targetWorkflowName}`);
+
+        result.activation = await this.applyActivationPolicy(toEnv, baseName, { ...result, workflowId: saved.id, workflowName: targetWorkflowName });
+
         return result;
     }
 
@@ -305,12 +685,12 @@ class WorkflowManager {
         try {
             switch (command) {
                 case 'export':
-                    const environment = args[0] || 'dev';
+                    const environment = args[0] || this.environments.getSourceEnvironment();
                     const specificWorkflows = args.slice(1);
                     return await this.exportManagedWorkflows(environment, specificWorkflows.length > 0 ? specificWorkflows : null);
 
                 case 'import':
-                    const importEnv = args[0] || 'dev';
+                    const importEnv = args[0] || this.environments.getSourceEnvironment();
                     const workflowsToImport = args.slice(1);
                     return await this.importLocalWorkflows(importEnv, workflowsToImport.length > 0 ? workflowsToImport : null);
 
@@ -321,14 +701,59 @@ class WorkflowManager {
                     }
                     return await this.deployDevToProd(workflowsToDeploy);
 
+                case 'promote':
+                    const [fromEnv, toEnv, ...workflowsToPromote] = args;
+                    if (!fromEnv || !toEnv || workflowsToPromote.length === 0) {
+                        throw new Error('Usage: promote <from-env> <to-env> <workflow1> [workflow2]');
+                    }
+                    return await this.promoteWorkflows(fromEnv, toEnv, workflowsToPromote);
+
+                case 'credentials':
+                    const credentialsEnv = args[0] || this.environments.getProductionEnvironment();
+                    const credentialWorkflows = args.slice(1);
+                    const credentialFiles = credentialWorkflows.length > 0
+                        ? credentialWorkflows.map(baseName => this.generateFileName(baseName))
+                        : this.workflowFiles.list('workflows');
+                    return await this.checkCredentials(credentialsEnv, credentialFiles);
+
+                case 'variables':
+                    const [variablesAction, variablesEnvArg, ...variablesArgs] = args;
+                    if (!['diff', 'sync'].includes(variablesAction)) {
+                        throw new Error('Usage: variables <diff|sync> [environment] [workflow1] [workflow2] [--prune]');
+                    }
+                    const variablesEnv = variablesEnvArg && variablesEnvArg !== '--prune' ? variablesEnvArg : this.environments.getSourceEnvironment();
+                    return await this.showVariables(variablesAction, variablesEnv, variablesArgs.filter(arg => arg !== '--prune'), { prune: args.includes('--prune') });
+
+                case 'normalize':
+                    return this.normalizeWorkflowFiles(args[0] || 'workflows');
+
+                case 'convert':
+                    if (!['json', 'yaml'].includes(args[0])) {
+                        throw new Error('Usage: convert <json|yaml> [directory]');
+                    }
+                    return this.convertWorkflowFiles(args[0], args[1] || 'workflows');
+
+                case 'deps':
+                    if (!args[0]) {
+                        throw new Error('Usage: deps <workflow>');
+                    }
+                    return await this.showDependencies(args[0]);
+
+                case 'environments':
+                    console.log('🌍 Environments (promotion order):');
+                    this.environments.environments.forEach((env, index) => {
+                        console.log(`  ${index + 1}. ${env.name} (suffix: "${env.suffix}")${env.protected ? ' 🔒 protected' : ''}`);
+                    });
+                    return this.environments.environments;
+
                 case 'list':
-                    const listEnv = args[0] || null;
-                    const workflows = await this.getManagedWorkflows(listEnv);
+                    const listFilters = this.parseListFilters(args);
+                    const listEnv = args.find(arg => !arg.startsWith('--') && !listFilters.values.includes(arg)) || null;
+                    const workflows = await this.getManagedWorkflows(listEnv, listFilters.filters);
                     console.log(`📋 Managed workflows${listEnv ? ` (${listEnv})` : ''}:`);
                     workflows.forEach(w => {
-                        const env = this.getEnvironmentFromWorkflowName(w.name);
                         const status = w.active ? 'Active: 🟢 | ' : 'Active: 🔴 | ';
-                        console.log(`  ${status} ${w.name} (${env})`);
+                        console.log(`  ${status} ${w.name} (${w.environment})`);
                     });
                     return workflows;
 
@@ -336,9 +761,19 @@ class WorkflowManager {
                     return await this.getWorkflowStatus();
 
                 case 'backup':
-                    const backupEnv = args[0] || 'prod';
-                    const customName = args[1] || null;
-                    return await this.createBackup(backupEnv, customName);
+                    const backupArgs = args.filter(arg => !arg.startsWith('--'));
+                    const backupEnv = backupArgs[0] || this.environments.getProductionEnvironment();
+                    const customName = backupArgs[1] || null;
+                    const archiveOptions = {};
+                    if (args.includes('--archive') || args.includes('--encrypt')) {
+                        archiveOptions.enabled = true;
+                        archiveOptions.encrypt = args.includes('--encrypt');
+                    }
+                    const backup = await this.createBackup(backupEnv, customName, archiveOptions);
+                    if (backup.upload && backup.upload.status === 'failed') {
+                        throw new Error(`Backup ${backup.backupName} was created, but not uploaded: ${backup.upload.error}`);
+                    }
+                    return backup;
 
                 case 'list-backups':
                     return await this.listBackups();
@@ -352,40 +787,119 @@ class WorkflowManager {
                     return await this.restoreFromBackup(backupName, workflowsToRestore.length > 0 ? workflowsToRestore : null);
 
                 case 'cleanup-backups':
-                    const keepCount = args[0] ? parseInt(args[0]) : this.config.settings.maxBackupsToKeep;
+                    const keepCount = args[0] ? parseInt(args[0]) : null;
                     return await this.cleanupOldBackups(keepCount);
 
+                case 'pin-backup':
+                case 'unpin-backup':
+                    if (!args[0]) {
+                        throw new Error(`Usage: ${command} <backup-name>${command === 'pin-backup' ? ' [reason]' : ''}`);
+                    }
+                    return await this.pinBackup(args[0], command === 'pin-backup', args.slice(1).join(' ') || null);
+
+                case 'migrate-backups':
+                    return this.migrateBackups(args);
+
+                case 'extract-backup':
+                    if (!args[0] || !args[1]) {
+                        throw new Error('Usage: extract-backup <backup-name> <directory>');
+                    }
+                    return await this.extractBackup(args[0], args[1]);
+
+                case 'upload-backup':
+                    return await this.uploadBackups(args);
+
+                case 'check-backup-storage':
+                    return await this.checkBackupStorage(args[0] || null);
+
+                case 'download-backup':
+                    if (!args[0]) {
+                        throw new Error('Usage: download-backup <backup-name>');
+                    }
+                    if (this.backupStore.exists(args[0])) {
+                        console.log(`📦 ${args[0]} is already in ${this.backupStore.backupsDir}`);
+                        return args[0];
+                    }
+                    await this.ensureLocalBackup(args[0]);
+                    return args[0];
+
+                case 'pack-backup':
+                    return this.packBackups(args.filter(arg => arg !== '--encrypt'), args.includes('--encrypt') || !!(this.config.settings.backupArchive || {}).encrypt);
+
+                case 'unpack-backup':
+                    return this.unpackBackups(args);
+
                 default:
                     console.log('Available commands:');
                     console.log('  export [environment] [workflow1] [workflow2] - Export specific or all managed workflows');
-                    console.log('  import [environment] [workflow1] [workflow2] - Import local workflow files to n8n');
-                    console.log('  deploy [workflow1] [workflow2] - Deploy dev workflows to prod');
-                    console.log('  list [environment] - List managed workflows');
+                    console.log('  import [environment] [workflow1] [workflow2] [--dry-run] - Import local workflow files to n8n');
+                    console.log('  deploy [workflow1] [workflow2] [--dry-run] - Deploy workflows to the production environment');
+                    console.log('  promote <from-env> <to-env> [workflow1] [workflow2] [--dry-run] - Promote workflows one step along the environment chain');
+                    console.log('  credentials [environment] [workflow1] [workflow2] - Check that the credentials of workflow files exist in the environment');
+                    console.log('  variables <diff|sync> [environment] [workflow1] [workflow2] [--prune] - Compare or sync n8nVariables-mode workflows with n8n variables');
+                    console.log('  normalize [directory] - Rewrite workflow files into the normalized export format');
+                    console.log('  convert <json|yaml> [directory] - Convert workflow files to JSON or YAML');
+                    console.log('  deps <workflow> - Show the workflows it calls and is called by');
+                    console.log('  environments - List declared environments in promotion order');
+                    console.log('  list [environment] [--active|--inactive] [--tag name] - List managed workflows');
                     console.log('  status - Show status of all managed workflows');
-                    console.log('  backup [environment] [custom-name] - Create backup of workflows');
+                    console.log('  backup [environment] [custom-name] [--archive] [--encrypt] - Create backup of workflows, optionally as a .tar.gz archive');
                     console.log('  list-backups - List available backups');
-                    console.log('  restore [backup-name] [workflow1] [workflow2] - Restore from backup');
-                    console.log('  cleanup-backups [keep-count] - Cleanup old backups (default: keep 10)');
+                    console.log('  restore [backup-name] [workflow1] [workflow2] [--dry-run] - Restore from backup');
+                    console.log('  (--dry-run / --plan shows what would change and saves the plan to logs/ without touching n8n)');
+                    console.log('  cleanup-backups [keep-count] [--dry-run] - Delete backups outside settings.backupRetention (or all but the newest keep-count of each kind)');
+                    console.log('  pin-backup <backup-name> [reason] / unpin-backup <backup-name> - Protect a backup from cleanup');
+                    console.log('  migrate-backups [backup-name] [backup-name] - Move backups with full workflow copies into the backup store');
+                    console.log('  extract-backup <backup-name> <directory> - Write a backup out as plain workflow files');
+                    console.log('  pack-backup [backup-name] [backup-name] [--encrypt] - Pack backup directories into .tar.gz archives (encrypted with N8N_BACKUP_PASSPHRASE)');
+                    console.log('  unpack-backup [backup-name] [backup-name] - Turn backup archives back into backup directories');
+                    console.log('  upload-backup [backup-name] [backup-name] - Upload backups to settings.backupStorage (by default those not uploaded yet)');
+                    console.log('  download-backup <backup-name> - Download a backup from settings.backupStorage');
+                    console.log('  check-backup-storage [backup-name] - Upload, list, download and delete a copy of a backup to check settings.backupStorage');
             }
         } catch (error) {
             console.error(`❌ Command failed:`, error.message);
+            if (error instanceof UnauthorizedError) {
+                console.error('💡 The n8n API rejected the API key - check the key configured for this environment (npm run workflows:environments)');
+            }
             process.exit(1);
         }
     }
 
+    parseListFilters(args) {
+        const filters = {};
+        const values = [];
+
+        if (args.includes('--active')) filters.active = true;
+        if (args.includes('--inactive')) filters.active = false;
+
+        args.forEach((arg, index) => {
+            if (arg === '--tag' && args[index + 1]) {
+                filters.tags = [...(filters.tags || []), args[index + 1]];
+                values.push(args[index + 1]);
+            }
+        });
+
+        return { filters, values };
+    }
+
     async getWorkflowStatus() {
         console.log('📊 Workflow Status Report');
         console.log('========================');
 
         const managedConfigs = this.managedWorkflows.managedWorkflows;
-        const allWorkflows = await this.getAllWorkflows();
+        const allWorkflows = {};
+
+        for (const env of this.environments.getNames()) {
+            allWorkflows[env] = await this.getAllWorkflows(env);
+        }
 
         for (const config of managedConfigs) {
             console.log(`\n📁 ${config.baseName}`);
 
-            for (const env of config.environments) {
+            for (const env of this.getWorkflowEnvironments(config)) {
                 const workflowName = config.baseName + this.getSuffix(env);
-                const workflow = allWorkflows.find(w => w.name === workflowName);
+                const workflow = allWorkflows[env].find(w => w.name === workflowName);
 
                 if (workflow) {
                     const status = workflow.active ? '🟢 Active' : '🔴 Inactive';
@@ -399,20 +913,16 @@ class WorkflowManager {
         return { managedConfigs, allWorkflows };
     }
 
+    // Local backups and those in the remote storage, merged by name
     async listBackups() {
-        const backupsDir = path.join('workflows', 'backups');
-
-        if (!fs.existsSync(backupsDir)) {
+        if (!fs.existsSync(this.backupStore.backupsDir) && !this.backupRemote) {
             console.log('📁 No backup directory found');
             return [];
         }
 
-        const backupDirs = fs.readdirSync(backupsDir)
-            .filter(item => {
-                const itemPath = path.join(backupsDir, item);
-                return fs.statSync(itemPath).isDirectory();
-            })
-            .sort((a, b) => b.localeCompare(a)); // Sort newest first
+        const localBackups = this.backupStore.list();
+        const remoteBackups = await this.listRemoteBackups();
+        const backupDirs = [...new Set([...localBackups, ...remoteBackups.map(entry => entry.name)])].sort((a, b) => b.localeCompare(a));
 
         console.log('📦 Available Backups:');
         console.log('====================');
@@ -425,54 +935,186 @@ class WorkflowManager {
         const backupInfo = [];
 
         for (const backupDir of backupDirs) {
-            const backupPath = path.join(backupsDir, backupDir);
-            const stats = fs.statSync(backupPath);
+            const remote = remoteBackups.find(entry => entry.name === backupDir) || null;
 
             // Parse backup directory name to extract timestamp
-            const timestampMatch = backupDir.match(/backup_prod_(\d{8}_\d{6})/);
+            const timestampMatch = backupDir.match(/(\d{8}_\d{6})/);
             const timestamp = timestampMatch ? timestampMatch[1] : 'unknown';
 
+            if (!localBackups.includes(backupDir)) {
+                const remoteCreated = BackupStore.getNameTimestamp(backupDir) || remote.lastModified;
+                backupInfo.push({
+                    name: backupDir,
+                    timestamp: timestamp,
+                    created: remoteCreated,
+                    workflowCount: null,
+                    pinned: false,
+                    archived: true,
+                    encrypted: remote.fileName.endsWith('.enc'),
+                    remote: remote.fileName,
+                    path: null
+                });
+
+                console.log(`  ☁️  ${backupDir}`);
+                console.log(`     Created: ${remoteCreated.toLocaleString()}`);
+                console.log(`     Remote only: ${remote.fileName} (${(remote.size / 1024).toFixed(2)} KB), downloaded when restored`);
+                console.log('');
+                continue;
+            }
+
+            const backupPath = this.backupStore.getLocation(backupDir);
+            const stats = fs.statSync(backupPath);
+            const archived = this.backupStore.isArchive(backupDir);
+            const encrypted = this.backupStore.isEncrypted(backupDir);
+
             // Count workflows in backup
             let workflowCount = 0;
+            let created = stats.mtime;
+            let pinned = false;
+            let unreadable = null;
             try {
-                const files = fs.readdirSync(backupPath);
-                workflowCount = files.filter(f => f.endsWith('.json') && !f.startsWith('_')).length;
+                workflowCount = this.backupStore.listWorkflowFiles(backupDir).length;
+                created = this.backupStore.getCreatedAt(backupDir);
+                pinned = this.backupStore.isPinned(backupDir);
             } catch (error) {
                 workflowCount = 0;
+                unreadable = error.message;
             }
 
             const backupData = {
                 name: backupDir,
                 timestamp: timestamp,
-                created: stats.birthtime,
+                created: created,
                 workflowCount: workflowCount,
+                pinned: pinned,
+                archived: archived,
+                encrypted: encrypted,
+                remote: remote ? remote.fileName : null,
                 path: backupPath
             };
 
             backupInfo.push(backupData);
 
-            const formattedDate = stats.birthtime.toLocaleString();
-            console.log(`  📦 ${backupDir}`);
+            const formattedDate = created.toLocaleString();
+            console.log(`  ${encrypted ? '🔐' : archived ? '🗜️ ' : '📦'} ${backupDir}${pinned ? ' 📌' : ''}`);
             console.log(`     Created: ${formattedDate}`);
             console.log(`     Workflows: ${workflowCount}`);
+            if (archived) {
+                console.log(`     Archive: ${path.basename(backupPath)} (${(stats.size / 1024).toFixed(2)} KB)`);
+            }
+            if (remote) {
+                console.log(`     ☁️  Uploaded: ${remote.fileName}`);
+            }
+            if (unreadable) {
+                console.log(`     ⚠️  ${unreadable}`);
+            }
             console.log('');
         }
 
+        const storeStats = this.backupStore.getStats();
+        if (storeStats.references > 0) {
+            console.log(`🗄️  ${storeStats.references} backed up workflows stored as ${storeStats.objects} unique files`);
+        }
+        if (this.backupRemote) {
+            console.log(`☁️  ${remoteBackups.length} backups in ${this.backupRemote.describe()}`);
+        }
+
         return backupInfo;
     }
 
-    async restoreFromBackup(backupName, specificWorkflows = null) {
-        console.log(`🔄 Restoring workflows from backup: ${backupName}`);
+    // The backups in the remote storage; empty when it cannot be listed, so local backups are still listed
+    // and cleaned up
+    async listRemoteBackups() {
+        if (!this.backupRemote) {
+            return [];
+        }
+
+        try {
+            return await this.backupRemote.list();
+        } catch (error) {
+            console.error(`❌ Cannot list the backups in ${this.backupRemote.describe()}: ${error.message}`);
+            return [];
+        }
+    }
+
+    // A backup that only exists in the remote storage is downloaded into backups/ first
+    async ensureLocalBackup(backupName) {
+        if (this.backupStore.exists(backupName)) {
+            return;
+        }
+
+        if (this.backupRemote && await this.backupRemote.find(backupName)) {
+            console.log(`☁️  Downloading ${backupName} from ${this.backupRemote.describe()}...`);
+            const archivePath = await this.backupRemote.download(backupName);
+            console.log(`  ✅ Downloaded and checked: ${archivePath}`);
+            return;
+        }
 
-        const backupPath = path.join('workflows', 'backups', backupName);
+        throw new Error(`Backup not found: ${backupName}`);
+    }
 
-        if (!fs.existsSync(backupPath)) {
-            throw new Error(`Backup not found: ${backupName}`);
+    // Uploads backups to the remote storage: by default the local ones that are not there yet
+    async uploadBackups(backupNames = []) {
+        if (!this.backupRemote) {
+            throw new Error('No remote backup storage configured (settings.backupStorage)');
         }
 
+        let names = backupNames;
+        if (names.length === 0) {
+            const uploaded = (await this.backupRemote.list()).map(entry => entry.name);
+            names = this.backupStore.list().filter(name => !uploaded.includes(name));
+        }
+        console.log(`☁️  Uploading ${names.length} backups to ${this.backupRemote.describe()}...`);
+
+        const results = [];
+        for (const backupName of names) {
+            if (!this.backupStore.exists(backupName)) {
+                throw new Error(`Backup not found: ${backupName}`);
+            }
+            results.push(await this.uploadBackup(backupName));
+        }
+
+        console.log(`📊 ${results.filter(r => r.status === 'success').length} uploaded, ${results.filter(r => r.status === 'failed').length} failed`);
+        return results;
+    }
+
+    // Upload of one backup, encrypted with settings.backupArchive.encrypt; a failure is returned, not thrown
+    async uploadBackup(backupName) {
+        try {
+            const uploaded = await this.backupRemote.upload(backupName, !!(this.config.settings.backupArchive || {}).encrypt);
+            console.log(`  ☁️  Uploaded ${backupName}: ${uploaded.fileName} (${(uploaded.size / 1024).toFixed(2)} KB), ${uploaded.checksums} checksums verified`);
+            return { backupName, status: 'success', ...uploaded };
+        } catch (error) {
+            console.error(`  ❌ Failed to upload ${backupName}: ${error.message}`);
+            return { backupName, status: 'failed', error: error.message };
+        }
+    }
+
+    // Upload, list, download and read back a copy of a local backup (by default the newest), encrypted with
+    // settings.backupArchive.encrypt, to see the remote storage works before a deployment relies on it
+    async checkBackupStorage(backupName = null) {
+        if (!this.backupRemote) {
+            throw new Error('No remote backup storage configured (settings.backupStorage)');
+        }
+
+        const name = backupName || this.backupStore.list()[0];
+        if (!name || !this.backupStore.exists(name)) {
+            throw new Error(name ? `Backup not found: ${name}` : 'No local backup to check the storage with - create one first');
+        }
+
+        console.log(`☁️  Checking ${this.backupRemote.describe()} with a copy of ${name}...`);
+        const checked = await this.backupRemote.check(name, !!(this.config.settings.backupArchive || {}).encrypt);
+        console.log(`✅ Uploaded, listed, downloaded${checked.encrypted ? ', decrypted' : ''} and deleted ${checked.fileName} (${(checked.size / 1024).toFixed(2)} KB), ${checked.checksums} checksums verified`);
+        return checked;
+    }
+
+    async restoreFromBackup(backupName, specificWorkflows = null) {
+        console.log(`🔄 Restoring workflows from backup: ${backupName}`);
+
+        await this.ensureLocalBackup(backupName);
+
         // Get a list of workflow files in the backup
-        const backupFiles = fs.readdirSync(backupPath)
-            .filter(f => f.endsWith('.json') && !f.startsWith('_'));
+        const backupFiles = this.backupStore.listWorkflowFiles(backupName);
 
         if (backupFiles.length === 0) {
             throw new Error('No workflow files found in backup');
@@ -483,13 +1125,11 @@ class WorkflowManager {
         // Filter workflows if specific ones requested
         let workflowsToRestore = backupFiles;
         if (specificWorkflows && specificWorkflows.length > 0) {
-            const specificFiles = specificWorkflows.map(baseName => {
-                const prodName = baseName + this.getSuffix('prod');
-                return this.generateFileName(prodName);
-            });
+            // File names are derived from the base name, so they are the same in every environment
+            const specificFiles = specificWorkflows.map(baseName => this.generateFileName(baseName));
 
             workflowsToRestore = backupFiles.filter(file => {
-                return specificFiles.some(specificFile => file === specificFile);
+                return specificFiles.some(specificFile => this.workflowFiles.isSameWorkflow(file, specificFile));
             });
 
             console.log(`🎯 Filtering to ${workflowsToRestore.length} specific workflows`);
@@ -500,22 +1140,32 @@ class WorkflowManager {
             return [];
         }
 
+        // Restore into the environment (and therefore the instance) the backup was taken from
+        const environment = this.getBackupEnvironment(backupName);
+        console.log(`🌍 Restoring into ${environment} environment`);
+
+        if (this.dryRun) {
+            this.startPlan('restore', environment, { backupName });
+        }
+
         // Get current workflows for comparison
-        const currentWorkflows = await this.getAllWorkflows();
-        const restoreResults = [];
+        const currentWorkflows = await this.getWorkflowList(environment);
 
-        for (const backupFile of workflowsToRestore) {
+        const restoreResults = await this.runWorkflowTasks(workflowsToRestore, async backupFile => {
             try {
-                const result = await this.restoreSingleWorkflow(backupPath, backupFile, currentWorkflows);
-                restoreResults.push(result);
+                return await this.restoreSingleWorkflow(backupName, backupFile, currentWorkflows, environment);
             } catch (error) {
                 console.error(`❌ Failed to restore ${backupFile}:`, error.message);
-                restoreResults.push({
+                return {
                     fileName: backupFile,
                     status: 'failed',
                     error: error.message
-                });
+                };
             }
+        });
+
+        if (this.dryRun) {
+            return this.savePlan(restoreResults);
         }
 
         // Create restore summary
@@ -526,9 +1176,118 @@ class WorkflowManager {
         return restoreResults;
     }
 
-    async restoreSingleWorkflow(backupPath, backupFile, currentWorkflows) {
-        const backupFilePath = path.join(backupPath, backupFile);
-        const workflowData = JSON.parse(fs.readFileSync(backupFilePath, 'utf8'));
+    // Backup directories holding full copies of the workflow files become manifests of the backup store.
+    // Workflows identical to ones stored for another backup are stored once.
+    migrateBackups(backupNames = []) {
+        const names = backupNames.length > 0 ? backupNames : this.backupStore.list();
+        console.log(`🗄️  Migrating ${names.length} backups into the backup store...`);
+
+        const results = [];
+        for (const backupName of names) {
+            if (!this.backupStore.exists(backupName)) {
+                throw new Error(`Backup not found: ${backupName}`);
+            }
+
+            try {
+                const migrated = this.backupStore.migrate(backupName);
+                if (!migrated) {
+                    results.push({ backupName, status: 'unchanged' });
+                    continue;
+                }
+                console.log(`  ✅ ${backupName}: ${migrated.files} workflows, ${migrated.deduplicated} of them already stored`);
+                results.push({ backupName, status: 'migrated', ...migrated });
+            } catch (error) {
+                console.error(`  ❌ Failed to migrate ${backupName}: ${error.message}`);
+                results.push({ backupName, status: 'failed', error: error.message });
+            }
+        }
+
+        console.log(`📊 ${results.filter(r => r.status === 'migrated').length} migrated, ${results.filter(r => r.status === 'unchanged').length} already in the store, ${results.filter(r => r.status === 'failed').length} failed`);
+        return results;
+    }
+
+    async extractBackup(backupName, targetDir) {
+        await this.ensureLocalBackup(backupName);
+
+        const files = this.backupStore.extract(backupName, targetDir);
+        console.log(`📦 Extracted ${files.length} workflows of ${backupName} to ${targetDir}`);
+        return files;
+    }
+
+    // Backup directories become single .tar.gz archives (all of them by default), which also hold their
+    // workflows: what they alone referred to in the backup store is removed afterwards
+    packBackups(backupNames = [], encrypt = false) {
+        const names = backupNames.length > 0 ? backupNames : this.backupStore.list();
+        console.log(`🗜️  Packing ${names.length} backups${encrypt ? ' (encrypted)' : ''}...`);
+
+        const results = [];
+        for (const backupName of names) {
+            if (!this.backupStore.exists(backupName)) {
+                throw new Error(`Backup not found: ${backupName}`);
+            }
+
+            try {
+                const archivePath = this.backupStore.pack(backupName, encrypt);
+                if (!archivePath) {
+                    results.push({ backupName, status: 'unchanged' });
+                    continue;
+                }
+                console.log(`  ✅ ${backupName} → ${archivePath}`);
+                results.push({ backupName, status: 'packed', archivePath });
+            } catch (error) {
+                console.error(`  ❌ Failed to pack ${backupName}: ${error.message}`);
+                results.push({ backupName, status: 'failed', error: error.message });
+            }
+        }
+
+        this.collectBackupGarbage();
+
+        console.log(`📊 ${results.filter(r => r.status === 'packed').length} packed, ${results.filter(r => r.status === 'unchanged').length} already archives, ${results.filter(r => r.status === 'failed').length} failed`);
+        return results;
+    }
+
+    // Archives become backup directories of the backup store again (all of them by default)
+    unpackBackups(backupNames = []) {
+        const names = backupNames.length > 0 ? backupNames : this.backupStore.list().filter(name => this.backupStore.isArchive(name));
+        console.log(`📂 Unpacking ${names.length} backup archives...`);
+
+        const results = [];
+        for (const backupName of names) {
+            if (!this.backupStore.exists(backupName)) {
+                throw new Error(`Backup not found: ${backupName}`);
+            }
+
+            try {
+                const files = this.backupStore.unpack(backupName);
+                if (files === null) {
+                    results.push({ backupName, status: 'unchanged' });
+                    continue;
+                }
+                console.log(`  ✅ ${backupName}: ${files} workflows`);
+                results.push({ backupName, status: 'unpacked', files });
+            } catch (error) {
+                console.error(`  ❌ Failed to unpack ${backupName}: ${error.message}`);
+                results.push({ backupName, status: 'failed', error: error.message });
+            }
+        }
+
+        console.log(`📊 ${results.filter(r => r.status === 'unpacked').length} unpacked, ${results.filter(r => r.status === 'unchanged').length} not archives, ${results.filter(r => r.status === 'failed').length} failed`);
+        return results;
+    }
+
+    getBackupEnvironment(backupName) {
+        const metadata = this.backupStore.readMetadata(backupName);
+
+        if (metadata && metadata.environment) {
+            return this.environments.get(metadata.environment).name;
+        }
+
+        // Backups without metadata have always been production backups
+        return this.environments.getProductionEnvironment();
+    }
+
+    async restoreSingleWorkflow(backupName, backupFile, currentWorkflows, environment) {
+        const workflowData = this.backupStore.readWorkflow(backupName, backupFile);
 
         if (!workflowData.name) {
             throw new Error('Workflow data missing name field');
@@ -540,48 +1299,33 @@ class WorkflowManager {
         const existingWorkflow = currentWorkflows.find(w => w.name === workflowData.name);
 
         // Clean workflow data for restore
-        const cleanWorkflowData = {
-            ...workflowData,
-            id: undefined,
-            active: undefined,
-            isArchived: undefined,
-            createdAt: undefined,
-            updatedAt: undefined,
-            versionId: undefined,
-            meta: undefined,
-            pinData: undefined,
-            triggerCount: undefined,
-            shared: undefined,
-            tags: undefined,
+        const cleanWorkflowData = this.cleanWorkflowData(workflowData);
+
+        if (this.dryRun) {
+            const planned = await this.planWorkflowChange(environment, existingWorkflow, cleanWorkflowData);
+            return { ...planned, fileName: backupFile };
+        }
+
+        const saved = await this.saveWorkflow(environment, existingWorkflow, cleanWorkflowData);
+        const previouslyActive = saved.action === 'updated' ? existingWorkflow.active : false;
+        const result = {
+            fileName: backupFile,
+            workflowName: workflowData.name,
+            action: saved.action,
+            status: 'success',
+            workflowId: saved.id,
+            previouslyActive: previouslyActive,
+            active: saved.active
         };
 
-        let result;
-        if (existingWorkflow) {
-            // Update the existing workflow
-            await this.client.put(`/api/v1/workflows/${existingWorkflow.id}`, cleanWorkflowData);
-            result = {
-                fileName: backupFile,
-                workflowName: workflowData.name,
-                action: 'updated',
-                status: 'success',
-                workflowId: existingWorkflow.id,
-                previouslyActive: existingWorkflow.active
-            };
-            console.log(`  ✅ Updated: ${workflowData.name} (was ${existingWorkflow.active ? 'active' : 'inactive'})`);
+        if (saved.action === 'updated') {
+            console.log(`  ✅ Updated: ${workflowData.name} (was ${previouslyActive ? 'active' : 'inactive'})`);
         } else {
-            // Create a new workflow
-            const createResponse = await this.client.post('/api/v1/workflows', cleanWorkflowData);
-            result = {
-                fileName: backupFile,
-                workflowName: workflowData.name,
-                action: 'created',
-                status: 'success',
-                workflowId: createResponse.data.id,
-                previouslyActive: false
-            };
             console.log(`  ✅ Created: ${workflowData.name}`);
         }
 
+        result.activation = await this.applyActivationPolicy(environment, this.getBaseNameFromWorkflowName(workflowData.name), result);
+
         return result;
     }
 
@@ -592,37 +1336,47 @@ class WorkflowManager {
             totalWorkflows: results.length,
             successful: results.filter(r => r.status === 'success').length,
             failed: results.filter(r => r.status === 'failed').length,
+            activationFailed: results.filter(r => r.activation && r.activation.status === 'failed').length,
             results: results.map(r => ({
                 workflowName: r.workflowName || r.fileName,
                 action: r.action,
                 status: r.status,
                 error: r.error,
-                previouslyActive: r.previouslyActive
+                previouslyActive: r.previouslyActive,
+                activation: r.activation
             }))
         };
 
-        const summaryPath = path.join('workflows', 'backups', `_restore_summary_${Date.now()}.json`);
+        fs.mkdirSync('logs', { recursive: true });
+        const summaryPath = path.join('logs', `_restore_summary_${Date.now()}.json`);
         fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
         console.log(`📊 Restore summary saved: ${summaryPath}`);
 
         // Also log summary to console
         console.log('\n📊 Restore Summary:');
         console.log(`   Backup: ${backupName}`);
-        console.log(`   Total: ${summary.totalWorkflows}, Success: ${summary.successful}, Failed: ${summary.failed}`);
+        console.log(`   Total: ${summary.totalWorkflows}, Success: ${summary.successful}, Failed: ${summary.failed}, Activation failed: ${summary.activationFailed}`);
     }
 
-    async createBackup(environment = 'prod', customName = null) {
+    // With settings.backupArchive.enabled (or options.enabled) the backup is packed into a .tar.gz archive,
+    // with encrypt also encrypted with the passphrase in N8N_BACKUP_PASSPHRASE
+    async createBackup(environment = this.environments.getProductionEnvironment(), customName = null, options = {}) {
         console.log(`💾 Creating backup of ${environment} workflows...`);
 
+        const archive = { ...(this.config.settings.backupArchive || {}), ...options };
+        if ((archive.enabled || this.backupRemote) && archive.encrypt && !this.backupStore.getPassphrase()) {
+            throw new Error('Set N8N_BACKUP_PASSPHRASE to create encrypted backup archives');
+        }
+
         // Generate backup name
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('.')[0];
         const backupName = customName || `backup_${environment}_${timestamp.replace(/[-T]/g, '_')}`;
-        const backupDir = path.join('backups', backupName);
+        const backupDir = this.backupStore.getBackupPath(backupName);
 
         // Create a backup directory
         fs.mkdirSync(backupDir, { recursive: true });
 
-        // Export workflows to a back-up directory
+        // Export workflows into the backup store
         const workflowsToBackup = await this.getManagedWorkflows(environment);
 
         if (workflowsToBackup.length === 0) {
@@ -644,22 +1398,20 @@ class WorkflowManager {
 
         console.log(`📋 Backing up ${workflowsToBackup.length} workflows`);
 
-        const backupResults = [];
-
-        for (const workflow of workflowsToBackup) {
+        const backupResults = await this.runWorkflowTasks(workflowsToBackup, async workflow => {
             try {
-                const result = await this.exportSingleWorkflow(workflow, backupDir);
-                backupResults.push(result);
+                const result = await this.backupSingleWorkflow(workflow, environment);
                 console.log(`  ✅ Backed up: ${workflow.name}`);
+                return result;
             } catch (error) {
                 console.error(`  ❌ Failed to backup ${workflow.name}:`, error.message);
-                backupResults.push({
+                return {
                     name: workflow.name,
                     status: 'failed',
                     error: error.message
-                });
+                };
             }
-        }
+        });
 
         // Create backup metadata
         const metadata = {
@@ -668,73 +1420,173 @@ class WorkflowManager {
             createdAt: new Date().toISOString(),
             workflowCount: backupResults.filter(r => r.status === 'success').length,
             failedCount: backupResults.filter(r => r.status === 'failed').length,
-            workflows: backupResults
+            toolVersion: TOOL_VERSION,
+            sourceUrl: this.environments.getConnection(environment).baseUrl,
+            totalSize: backupResults.reduce((total, r) => total + (r.size || 0), 0),
+            workflows: backupResults,
+            // The manifest: workflow file → SHA-256 of its content, which is also where backups/_objects keeps it
+            files: Object.fromEntries(backupResults.filter(r => r.status === 'success').map(r => [r.fileName, r.hash]))
         };
 
-        fs.writeFileSync(path.join(backupDir, '_backup_metadata.json'), JSON.stringify(metadata, null, 2));
+        this.backupStore.writeManifest(backupName, metadata);
+
+        let location = backupDir;
+        if (archive.enabled) {
+            location = this.backupStore.pack(backupName, !!archive.encrypt);
+            this.collectBackupGarbage();
+        }
 
         console.log(`✅ Backup created: ${backupName}`);
-        console.log(`📁 Location: ${backupDir}`);
+        console.log(`📁 Location: ${location}`);
+
+        const upload = this.backupRemote ? await this.uploadBackup(backupName) : null;
 
         // Clean up old backups to respect maxBackupsToKeep setting
         await this.cleanupOldBackups();
 
         return {
             backupName,
-            backupDir,
-            metadata
+            backupDir: location,
+            metadata,
+            upload
         };
     }
 
-    async cleanupOldBackups(keepCount = this.config.settings.maxBackupsToKeep || 10) {
-        const backupsDir = path.join('backups');
-
-        if (!fs.existsSync(backupsDir)) {
+    // Applies settings.backupRetention (see backup-retention.js). Without it, or with an explicit keepCount,
+    // the newest maxBackupsToKeep backups of each kind are kept. In dry-run only the decisions are shown.
+    // Local backups and those in the remote storage are one set: a backup is kept or deleted in both places.
+    async cleanupOldBackups(keepCount = null) {
+        if (!fs.existsSync(this.backupStore.backupsDir) && !this.backupRemote) {
             console.log('📁 No backups directory found');
-            return;
+            return [];
         }
 
-        const backupDirs = fs.readdirSync(backupsDir)
-            .filter(item => {
-                const itemPath = path.join(backupsDir, item);
-                return fs.statSync(itemPath).isDirectory();
-            })
-            .map(dir => ({
-                name: dir,
-                path: path.join(backupsDir, dir),
-                created: fs.statSync(path.join(backupsDir, dir)).birthtime
-            }))
-            .sort((a, b) => b.created - a.created); // Sort newest first
+        const rules = keepCount
+            ? { default: { keep: keepCount } }
+            : this.config.settings.backupRetention || { default: { keep: this.config.settings.maxBackupsToKeep || 10 } };
+
+        const localBackups = this.backupStore.list();
+        const remoteBackups = await this.listRemoteBackups();
+        const backups = [...new Set([...localBackups, ...remoteBackups.map(entry => entry.name)])].map(name => {
+            const local = localBackups.includes(name);
+            const remote = remoteBackups.find(entry => entry.name === name) || null;
+            let pinned = false;
+            let unreadable = false;
+
+            // An encrypted archive cannot be read without N8N_BACKUP_PASSPHRASE: it is kept, not a reason to fail
+            if (local) {
+                try {
+                    pinned = this.backupStore.isPinned(name);
+                } catch (error) {
+                    unreadable = true;
+                }
+            }
 
-        if (backupDirs.length <= keepCount) {
-            console.log(`📦 ${backupDirs.length} backups found, no cleanup needed (keeping ${keepCount})`);
-            return;
+            return {
+                name,
+                local,
+                remote,
+                createdAt: local ? this.backupStore.getCreatedAt(name) : BackupStore.getNameTimestamp(name) || remote.lastModified,
+                pinned,
+                unreadable
+            };
+        });
+        const plan = new BackupRetention(rules).plan(backups);
+
+        // The uploaded copy may have been pinned elsewhere: read before it is deleted
+        for (const entry of plan.filter(entry => entry.reasons.length === 0 && entry.remote)) {
+            try {
+                const metadata = await this.backupRemote.readMetadata(entry.remote);
+                if (metadata && metadata.pinned) {
+                    entry.reasons.push('pinned');
+                }
+            } catch (error) {
+                entry.reasons.push(`not checked for a pin: ${error.message}`);
+            }
+        }
+        const backupsToDelete = plan.filter(entry => entry.reasons.length === 0);
+
+        const getPlace = entry => !this.backupRemote ? '' : !entry.remote ? ' (local)' : entry.local ? ' (local + remote)' : ' (remote)';
+
+        if (this.dryRun) {
+            console.log(`🧹 Backup retention preview: ${plan.length - backupsToDelete.length} kept, ${backupsToDelete.length} would be deleted`);
+            for (const entry of plan) {
+                const decision = entry.reasons.length > 0
+                    ? `✔️  keep   ${entry.name}${getPlace(entry)} (${entry.reasons.join(', ')})`
+                    : `🗑️  delete ${entry.name}${getPlace(entry)}`;
+                console.log(`  ${decision}`);
+            }
+            return plan;
+        }
+
+        if (backupsToDelete.length === 0) {
+            console.log(`📦 ${plan.length} backups found, no cleanup needed`);
+            return plan;
+        }
+
+        console.log(`🧹 Cleaning up ${backupsToDelete.length} old backups (keeping ${plan.length - backupsToDelete.length})`);
+
+        for (const backup of backupsToDelete) {
+            try {
+                if (backup.local) {
+                    this.backupStore.deleteBackup(backup.name);
+                }
+                if (backup.remote) {
+                    await this.backupRemote.delete(backup.remote);
+                }
+                console.log(`  🗑️  Deleted: ${backup.name}${getPlace(backup)}`);
+            } catch (error) {
+                console.error(`  ❌ Failed to delete ${backup.name}:`, error.message);
+            }
+        }
+
+        // Workflow contents only the deleted backups referred to
+        this.collectBackupGarbage();
+
+        console.log('✅ Backup cleanup completed');
+        return plan;
+    }
+
+    collectBackupGarbage() {
+        try {
+            const removed = this.backupStore.collectGarbage();
+            if (removed > 0) {
+                console.log(`  🗑️  Removed ${removed} stored workflow files no backup refers to any more`);
+            }
+        } catch (error) {
+            console.error(`  ❌ Stored workflow files were not cleaned up: ${error.message}`);
         }
+    }
 
-        const backupsToDelete = backupDirs.slice(keepCount);
-        console.log(`🧹 Cleaning up ${backupsToDelete.length} old backups (keeping ${keepCount} newest)`);
+    // The pin is part of the backup's metadata, so an uploaded backup is uploaded again with it
+    async pinBackup(backupName, pinned, reason = null) {
+        await this.ensureLocalBackup(backupName);
 
-        for (const backup of backupsToDelete) {
-            try {
-                fs.rmSync(backup.path, { recursive: true, force: true });
-                console.log(`  🗑️  Deleted: ${backup.name}`);
-            } catch (error) {
-                console.error(`  ❌ Failed to delete ${backup.name}:`, error.message);
+        this.backupStore.setPinned(backupName, pinned, reason);
+        console.log(pinned ? `📌 Pinned ${backupName} - it is never deleted by the cleanup` : `📍 Unpinned ${backupName}`);
+
+        if (this.backupRemote && await this.backupRemote.find(backupName)) {
+            const upload = await this.uploadBackup(backupName);
+            if (upload.status === 'failed') {
+                throw new Error(`The copy in ${this.backupRemote.describe()} was not updated: ${upload.error}`);
             }
         }
-
-        console.log('✅ Backup cleanup completed');
     }
 
-    async importLocalWorkflows(environment, specificWorkflows = null, version = null) {
-        console.log(`🔄 Importing local workflows to ${environment}...`);
+    // credentialsChecked: the caller already ran the credential pre-flight for these workflows
+    async importLocalWorkflows(environment, specificWorkflows = null, version = null, { credentialsChecked = false } = {}) {
+        console.log(`🔄 ${this.dryRun ? 'Planning import of' : 'Importing'} local workflows to ${environment}...`);
 
-        if (version && environment === 'prod') {
+        if (this.dryRun) {
+            this.startPlan('import', environment, { version });
+        }
+
+        if (version && this.environments.isProtected(environment)) {
             console.log(`📌 Using version ${version} for workflow variables`);
         }
 
         // Create backup before importing if enabled in settings
-        if (this.config.settings.backupBeforeImport) {
+        if (this.config.settings.backupBeforeImport && !this.dryRun) {
             console.log(`💾 Creating backup before importing to ${environment}...`);
             await this.createBackup(environment, `pre_import_auto_${new Date().toISOString().replace(/[:.]/g, '').split('T')[0]}_${new Date().toTimeString().split(' ')[0].replace(/:/g, '')}`);
         }
@@ -745,8 +1597,7 @@ class WorkflowManager {
         }
 
         // Get all workflow files in the exported directory
-        const workflowFiles = fs.readdirSync(exportDir)
-            .filter(file => file.endsWith('.json') && !file.startsWith('_'));
+        const workflowFiles = this.workflowFiles.list(exportDir);
 
         if (workflowFiles.length === 0) {
             throw new Error('No workflow files found in export directory');
@@ -763,7 +1614,7 @@ class WorkflowManager {
             });
 
             filesToImport = workflowFiles.filter(file => {
-                return specificFiles.some(specificFile => file === specificFile);
+                return specificFiles.some(specificFile => this.workflowFiles.isSameWorkflow(file, specificFile));
             });
 
             console.log(`🎯 Filtering to ${filesToImport.length} specific workflows`);
@@ -774,62 +1625,246 @@ class WorkflowManager {
             return [];
         }
 
+        // Sub-workflows first, so the workflows calling them can be pointed at their ids
+        let graph = null;
+        if (filesToImport.length > 1) {
+            graph = await this.getDependencyGraph();
+            const order = (await this.getDependencyOrder()).map(baseName => this.generateFileName(baseName));
+            const rank = file => {
+                const index = order.findIndex(ordered => this.workflowFiles.isSameWorkflow(ordered, file));
+                return index === -1 ? order.length : index;
+            };
+            filesToImport = [...filesToImport].sort((a, b) => rank(a) - rank(b));
+        }
+
+        if (!credentialsChecked) {
+            await this.checkCredentials(environment, filesToImport);
+        }
+
         // Get current workflows for comparison
-        const currentWorkflows = await this.getAllWorkflows();
-        const importResults = [];
+        const currentWorkflows = await this.getWorkflowList(environment);
+        const getBaseName = file => Object.keys(graph).find(baseName => this.workflowFiles.isSameWorkflow(this.generateFileName(baseName), file));
 
-        for (const workflowFile of filesToImport) {
+        const importResults = await this.runWorkflowTasks(filesToImport, async workflowFile => {
             try {
-                const result = await this.importSingleWorkflow(exportDir, workflowFile, currentWorkflows, environment, version);
-                importResults.push(result);
+                return await this.importSingleWorkflow(exportDir, workflowFile, currentWorkflows, environment, version);
             } catch (error) {
                 console.error(`❌ Failed to import ${workflowFile}:`, error.message);
-                importResults.push({
+                return {
                     fileName: workflowFile,
                     status: 'failed',
                     error: error.message
-                });
+                };
             }
+        }, { graph, getBaseName });
+
+        if (this.dryRun) {
+            return this.savePlan(importResults);
         }
 
         // Create import summary
         this.createImportSummary(importResults, environment);
 
-        console.log(`✅ Import completed: ${importResults.filter(r => r.status === 'success').length} successful, ${importResults.filter(r => r.status === 'failed').length} failed`);
+        console.log(`✅ Import completed: ${importResults.filter(r => r.status === 'success').length} successful, ${importResults.filter(r => r.status === 'failed').length} failed, ${importResults.filter(r => r.activation && r.activation.status === 'failed').length} activation failures`);
 
         return importResults;
     }
 
     async importSingleWorkflow(exportDir, workflowFile, currentWorkflows, environment, version = null) {
         const filePath = path.join(exportDir, workflowFile);
-        const workflowData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const workflowData = this.workflowFiles.read(filePath);
 
         // Ensure the workflow has the correct environment suffix
-        const baseName = this.getBaseNameFromWorkflowName(workflowData.name);
-        const targetName = baseName + this.getSuffix(environment);
+        const { workflowData: cleanWorkflowData, baseName, targetName, variables, credentials, rewrites } = this.prepareWorkflowForEnvironment(workflowData, environment, version);
 
-        // If the workflow name doesn't match the target environment, update it
+        // If the workflow name doesn't match the target environment, it is renamed
         if (workflowData.name !== targetName) {
             console.log(`⚠️ Workflow name mismatch: ${workflowData.name} → ${targetName}`);
-            workflowData.name = targetName;
         }
 
+        console.log(`🔄 Importing: ${targetName}`);
+
+        // Find existing workflow with same name
+        const existingWorkflow = currentWorkflows.find(w => w.name === targetName);
+
+        // Point sub-workflow calls at this environment's copies
+        const references = await this.remapWorkflowReferences(
+            cleanWorkflowData,
+            this.getEnvironmentFromWorkflowName(workflowData.name),
+            environment,
+            currentWorkflows
+        );
+
+        const instanceVariables = await this.syncInstanceVariables(environment, baseName);
+
+        if (this.dryRun) {
+            const planned = await this.planWorkflowChange(environment, existingWorkflow, cleanWorkflowData, { credentials, variables, instanceVariables, references, rewrites });
+            return { ...planned, fileName: workflowFile };
+        }
+
+        const saved = await this.saveWorkflow(environment, existingWorkflow, cleanWorkflowData);
+        const previouslyActive = saved.action === 'updated' ? existingWorkflow.active : false;
+        const result = {
+            fileName: workflowFile,
+            workflowName: targetName,
+            action: saved.action,
+            status: 'success',
+            workflowId: saved.id,
+            previouslyActive: previouslyActive,
+            active: saved.active,
+            rewrites: rewrites,
+            instanceVariables: instanceVariables
+        };
+
+        if (saved.action === 'updated') {
+            console.log(`  ✅ Updated: ${targetName} (was ${previouslyActive ? 'active' : 'inactive'})`);
+        } else {
+            console.log(`  ✅ Created: ${targetName}`);
+        }
+
+        result.activation = await this.applyActivationPolicy(environment, baseName, result);
+
+        return result;
+    }
+
+    // "activation" in managed-workflows.json: a policy for all environments or one per environment.
+    // Without a policy, the active state of a workflow is left as the API leaves it.
+    getActivationPolicy(baseName, environment) {
+        const workflowConfig = this.managedWorkflows.managedWorkflows.find(w => w.baseName === baseName);
+        if (!workflowConfig || !workflowConfig.activation) {
+            return null;
+        }
+
+        const policy = typeof workflowConfig.activation === 'string'
+            ? workflowConfig.activation
+            : workflowConfig.activation[environment];
+
+        if (policy && !ACTIVATION_POLICIES.includes(policy)) {
+            throw new Error(`Invalid activation policy "${policy}" for ${baseName} (allowed: ${ACTIVATION_POLICIES.join(', ')})`);
+        }
+
+        return policy || null;
+    }
+
+    // Runs after a workflow was saved. Failures are recorded on the result instead of thrown,
+    // so a workflow that imported fine but cannot be activated is not reported as a failed import.
+    async applyActivationPolicy(environment, baseName, result) {
+        const policy = this.getActivationPolicy(baseName, environment);
+        if (!policy) {
+            return null;
+        }
+
+        const shouldBeActive = policy === 'always' || (policy === 'preserve-previous' && result.previouslyActive === true);
+        const action = shouldBeActive ? 'activate' : 'deactivate';
+        let currentlyActive = null;
+
+        try {
+            // Decided from the state after saving, not the one before: saving may have deactivated the workflow
+            currentlyActive = await this.getSavedActiveState(environment, result);
+            if (currentlyActive === shouldBeActive) {
+                return { policy, status: 'unchanged', active: currentlyActive };
+            }
+
+            await this.getClient(environment).post(`/api/v1/workflows/${result.workflowId}/${action}`);
+            await this.updateCachedWorkflow(environment, result.workflowId, { active: shouldBeActive });
+            console.log(`  ${shouldBeActive ? '🟢 Activated' : '🔴 Deactivated'}: ${result.workflowName} (policy: ${policy})`);
+            return { policy, status: shouldBeActive ? 'activated' : 'deactivated', active: shouldBeActive };
+        } catch (error) {
+            console.error(`  ⚠️  Failed to ${action} ${result.workflowName}: ${error.message}`);
+            return { policy, status: 'failed', active: currentlyActive, error: error.message };
+        }
+    }
+
+    // The active state reported by the save, or read back when n8n did not report it
+    async getSavedActiveState(environment, result) {
+        if (typeof result.active === 'boolean') {
+            return result.active;
+        }
+
+        const response = await this.getClient(environment).get(`/api/v1/workflows/${result.workflowId}`);
+        return response.data.active === true;
+    }
+
+    // Runs before a workflow with "variablesTarget": "n8nVariables" is saved, so it never runs without its $vars.
+    // In dry-run only the differences are returned.
+    async syncInstanceVariables(environment, baseName) {
+        if (this.getVariablesTarget(baseName) !== 'n8nVariables') {
+            return null;
+        }
+
+        if (this.dryRun) {
+            const diff = await this.variablesSync.diff(environment, [baseName]);
+            return this.secretResolver.mask({
+                create: diff.toCreate.map(v => ({ key: v.key, value: v.value })),
+                update: diff.toUpdate.map(v => ({ key: v.key, value: v.value })),
+                orphaned: diff.orphaned.map(v => v.key)
+            });
+        }
+
+        console.log(`🔧 Syncing ${environment} n8n variables for ${baseName}`);
+        const result = await this.variablesSync.sync(environment, [baseName]);
+        return {
+            created: result.toCreate.map(v => v.key),
+            updated: result.toUpdate.map(v => v.key),
+            unchanged: result.unchanged.length
+        };
+    }
+
+    async showVariables(action, environment, baseNames, { prune = false } = {}) {
+        const names = baseNames.length > 0
+            ? baseNames
+            : this.managedWorkflows.managedWorkflows.map(w => w.baseName).filter(baseName => this.getVariablesTarget(baseName) === 'n8nVariables');
+
+        if (names.length === 0) {
+            console.log('ℹ️  No managed workflow uses "variablesTarget": "n8nVariables"');
+            return null;
+        }
+
+        const diff = await this.variablesSync.diff(environment, names);
+        this.variablesSync.printDiff(environment, diff);
+
+        if (action === 'diff' || this.dryRun) {
+            return diff;
+        }
+
+        const result = await this.variablesSync.sync(environment, names, { prune });
+        console.log(`✅ n8n variables synced: ${result.toCreate.length} created, ${result.toUpdate.length} updated, ${result.pruned.length} deleted`);
+        return result;
+    }
+
+    // Turns a workflow file into what gets written to the given environment:
+    // environment suffix, Configuration variables, credentials, rewrite rules, no webhook IDs or server-managed fields
+    prepareWorkflowForEnvironment(workflowData, environment, version = null) {
+        const baseName = this.getBaseNameFromWorkflowName(workflowData.name);
+        const sourceEnv = this.getEnvironmentFromWorkflowName(workflowData.name);
+        const targetName = baseName + this.getSuffix(environment);
+        const prepared = { ...workflowData, name: targetName };
+
         // Inject environment variables if available
-        this.injectEnvironmentVariables(workflowData, baseName, environment, version);
+        const variables = this.injectEnvironmentVariables(prepared, baseName, environment, version);
 
         // Change credentials if needed
-        this.changeCredentials(workflowData, baseName, environment);
+        const credentials = this.changeCredentials(prepared, baseName, environment);
 
-        // Clean node IDs to avoid conflicts
-        this.cleanupNodeWebhookIds(workflowData);
+        // Webhook paths and hardcoded URLs of the environment the file was exported from
+        const rewrites = this.applyRewriteRules(prepared, baseName, sourceEnv, environment);
 
-        console.log(`🔄 Importing: ${targetName}`);
+        // Clean node IDs to avoid conflicts
+        this.cleanupNodeWebhookIds(prepared);
 
-        // Find existing workflow with same name
-        const existingWorkflow = currentWorkflows.find(w => w.name === targetName);
+        return {
+            baseName,
+            targetName,
+            variables,
+            credentials,
+            rewrites,
+            workflowData: this.cleanWorkflowData(prepared)
+        };
+    }
 
-        // Clean workflow data for import
-        const cleanWorkflowData = {
+    // Fields managed by n8n itself, which the API rejects on create/update
+    cleanWorkflowData(workflowData) {
+        return {
             ...workflowData,
             id: undefined,
             active: undefined,
@@ -843,52 +1878,63 @@ class WorkflowManager {
             shared: undefined,
             tags: undefined,
         };
+    }
 
-        let result;
-        if (existingWorkflow) {
-            // Update the existing workflow
-            await this.client.put(`/api/v1/workflows/${existingWorkflow.id}`, cleanWorkflowData);
-            result = {
-                fileName: workflowFile,
-                workflowName: targetName,
-                action: 'updated',
-                status: 'success',
-                workflowId: existingWorkflow.id,
-                previouslyActive: existingWorkflow.active
-            };
-            console.log(`  ✅ Updated: ${targetName} (was ${existingWorkflow.active ? 'active' : 'inactive'})`);
-        } else {
-            // Create a new workflow
-            const createResponse = await this.client.post('/api/v1/workflows', cleanWorkflowData);
-            result = {
-                fileName: workflowFile,
-                workflowName: targetName,
-                action: 'created',
-                status: 'success',
-                workflowId: createResponse.data.id,
-                previouslyActive: false
-            };
-            console.log(`  ✅ Created: ${targetName}`);
+    getVariablesTarget(baseName) {
+        const workflowConfig = this.managedWorkflows.managedWorkflows.find(w => w.baseName === baseName);
+        const target = (workflowConfig && workflowConfig.variablesTarget) || 'configurationNode';
+
+        if (!VARIABLES_TARGETS.includes(target)) {
+            throw new Error(`Invalid variablesTarget "${target}" for ${baseName} (allowed: ${VARIABLES_TARGETS.join(', ')})`);
         }
 
-        return result;
+        return target;
     }
 
-    injectEnvironmentVariables(workflowData, baseName, environment, version = null) {
+    // The variables of a workflow for an environment, with secret references resolved and schema defaults applied.
+    // Returns null when the workflow has neither variables nor a schema.
+    getEnvironmentVariables(baseName, environment) {
         // Find the workflow configuration in managed-workflows.json
         const workflowConfig = this.managedWorkflows.managedWorkflows.find(w => w.baseName === baseName);
 
-        let envVariables = {};
+        // Check if the workflow config exists and has variables (or a schema) for the specified environment
+        const hasVariables = workflowConfig && workflowConfig.variables && workflowConfig.variables[environment];
+        if (!workflowConfig || (!hasVariables && !workflowConfig.variableSchema)) {
+            return null;
+        }
+
+        // Clone the environment variables, resolving secret references
+        const rawVariables = { ...(hasVariables ? workflowConfig.variables[environment] : {}) };
+        let envVariables = this.secretResolver.resolve(rawVariables, { environment }, `${baseName} variables.${environment}`);
 
-        // Check if the workflow config exists and has variables for the specified environment
-        if (!workflowConfig || !workflowConfig.variables || !workflowConfig.variables[environment]) {
-            return;
-        } else {
-            // Clone the environment variables
-            envVariables = { ...workflowConfig.variables[environment] };
+        // Nothing is injected when a value is missing or does not match the schema
+        if (workflowConfig.variableSchema) {
+            const referenceKeys = Object.keys(rawVariables).filter(key => this.secretResolver.hasReference(rawVariables[key]));
+            envVariables = this.variableSchema.coerce(envVariables, workflowConfig.variableSchema, referenceKeys);
+
+            const { values, errors } = this.variableSchema.validate(envVariables, workflowConfig.variableSchema);
+            if (errors.length > 0) {
+                throw new Error(this.secretResolver.mask(`Invalid ${environment} variables for ${baseName}: ${errors.join('; ')}`));
+            }
+            envVariables = values;
+        }
+
+        return envVariables;
+    }
 
-            // Add a version if provided and we're in a prod environment
-            if (version && environment === 'prod') {
+    injectEnvironmentVariables(workflowData, baseName, environment, version = null) {
+        // Variables synced into n8n's instance variables are read as $vars, the workflow itself is left as it is
+        if (this.getVariablesTarget(baseName) === 'n8nVariables') {
+            return null;
+        }
+
+        const envVariables = this.getEnvironmentVariables(baseName, environment);
+
+        if (!envVariables) {
+            return null;
+        } else {
+            // Add a version if provided and we're in a protected (production-like) environment
+            if (version && this.environments.isProtected(environment)) {
                 envVariables.version = version;
                 console.log(`🔧 Injecting ${environment} variables with version ${version} for ${baseName}`);
             } else {
@@ -988,14 +2034,19 @@ class WorkflowManager {
                 this.addOrUpdateVersionStickyNote(workflowData, baseName, version, environment, configNode);
             }
         }
+
+        // Callers log and save the variables, so secrets only ever leave this method masked
+        return this.secretResolver.mask(envVariables);
     }
 
     changeCredentials(workflowData, baseName, targetEnv) {
-        // Find the workflow configuration in managed-workflows.json
-        const workflowConfig = this.managedWorkflows.managedWorkflows.find(w => w.baseName === baseName);
+        const mappings = this.getCredentialMapping(baseName, targetEnv);
 
-        if (!workflowConfig || !workflowConfig.credentials) {
-            return;
+        // Returns the remapped credentials: [{ node, type, from, to }]
+        const changes = [];
+
+        if (Object.keys(mappings).length === 0) {
+            return changes;
         }
 
         // Credentials shape:
@@ -1013,6 +2064,8 @@ class WorkflowManager {
         //           }
         //         }
         //       }
+        // The id may be left out: the credential pre-flight then resolves it by name, or by type
+        // when the target has a single credential of that type.
 
         // Iterate over each node and update credentials if needed
         if (workflowData.nodes && Array.isArray(workflowData.nodes)) {
@@ -1020,9 +2073,21 @@ class WorkflowManager {
                 if (node.credentials) {
                     for (const [credType, credData] of Object.entries(node.credentials)) {
                         // Check if the workflow config has credentials for this type and target environment
-                        if (workflowConfig.credentials[targetEnv] && workflowConfig.credentials[targetEnv][credType]) {
-                            const newCred = workflowConfig.credentials[targetEnv][credType];
+                        if (mappings[credType]) {
+                            const newCred = mappings[credType];
+                            if (!newCred.id) {
+                                console.warn(`⚠️ No credential id for ${credType} in ${targetEnv} - run the credential pre-flight to resolve it`);
+                                continue;
+                            }
                             console.log(`🔧 Updating credentials for node ${node.name} (${credType}) to ${newCred.name}`);
+                            if (!credData || credData.id !== newCred.id) {
+                                changes.push({
+                                    node: node.name,
+                                    type: credType,
+                                    from: credData ? credData.name || credData.id || null : null,
+                                    to: newCred.name
+                                });
+                            }
                             node.credentials[credType] = {
                                 id: newCred.id,
                                 name: newCred.name
@@ -1032,6 +2097,169 @@ class WorkflowManager {
                 }
             }
         }
+
+        return changes;
+    }
+
+    // "rewrites" in managed-workflows.json, at the top level for every workflow and per workflow (which wins):
+    // "rewrites": {
+    //         "prod": {
+    //           "webhookPath": { "prefix": "prod-", "suffix": "" },
+    //           "urlHosts": { "dev-api.example.com": "api.example.com" }
+    //         }
+    //       }
+    getRewriteRules(baseName, environment) {
+        const workflowConfig = this.managedWorkflows.managedWorkflows.find(w => w.baseName === baseName);
+        const shared = (this.managedWorkflows.rewrites || {})[environment] || {};
+        const own = ((workflowConfig && workflowConfig.rewrites) || {})[environment] || {};
+
+        return {
+            webhookPath: { prefix: '', suffix: '', ...shared.webhookPath, ...own.webhookPath },
+            urlHosts: { ...shared.urlHosts, ...own.urlHosts }
+        };
+    }
+
+    // Returns the rewrites: [{ node, kind, field, from, to }]
+    applyRewriteRules(workflowData, baseName, sourceEnv, targetEnv) {
+        const sourceRules = this.getRewriteRules(baseName, sourceEnv);
+        const targetRules = this.getRewriteRules(baseName, targetEnv);
+        const rewrites = [];
+
+        for (const node of workflowData.nodes || []) {
+            if (!node.parameters) continue;
+
+            // The file carries the source environment's path: take its affixes off before adding the target's
+            if (WEBHOOK_NODE_TYPES.includes(node.type) && typeof node.parameters.path === 'string') {
+                const from = node.parameters.path;
+                const to = this.addPathAffixes(this.removePathAffixes(from, sourceRules.webhookPath), targetRules.webhookPath);
+                if (to !== from) {
+                    node.parameters.path = to;
+                    rewrites.push({ node: node.name, kind: 'webhookPath', field: 'parameters.path', from, to });
+                }
+            }
+
+            if (Object.keys(targetRules.urlHosts).length > 0) {
+                node.parameters = this.rewriteUrlHosts(node.parameters, targetRules.urlHosts, 'parameters', node.name, rewrites);
+            }
+        }
+
+        for (const rewrite of rewrites) {
+            console.log(`🔀 Rewriting ${rewrite.node} ${rewrite.field}: ${rewrite.from} → ${rewrite.to}`);
+        }
+
+        return rewrites;
+    }
+
+    removePathAffixes(webhookPath, { prefix, suffix }) {
+        let result = webhookPath;
+        if (prefix && result.startsWith(prefix)) {
+            result = result.substring(prefix.length);
+        }
+        if (suffix && result.endsWith(suffix)) {
+            result = result.substring(0, result.length - suffix.length);
+        }
+        return result;
+    }
+
+    addPathAffixes(webhookPath, { prefix, suffix }) {
+        return `${prefix}${webhookPath}${suffix}`;
+    }
+
+    // Replaces the host of every http(s) URL in the node parameters, including URLs inside expressions
+    // and code. All hosts are replaced in one pass, so chained rules (a → b, b → c) do not cascade.
+    rewriteUrlHosts(value, urlHosts, field, nodeName, rewrites) {
+        if (typeof value === 'string') {
+            const hosts = Object.keys(urlHosts)
+                .sort((a, b) => b.length - a.length)
+                .map(host => host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            const pattern = new RegExp(`(https?://)(${hosts.join('|')})(?=[:/?#\\s'"\`]|$)`, 'g');
+
+            return value.replace(pattern, (match, scheme, host) => {
+                if (!rewrites.some(r => r.node === nodeName && r.field === field && r.from === host)) {
+                    rewrites.push({ node: nodeName, kind: 'urlHost', field, from: host, to: urlHosts[host] });
+                }
+                return scheme + urlHosts[host];
+            });
+        }
+
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.rewriteUrlHosts(item, urlHosts, `${field}[${index}]`, nodeName, rewrites));
+        }
+
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = this.rewriteUrlHosts(item, urlHosts, `${field}.${key}`, nodeName, rewrites);
+            }
+            return result;
+        }
+
+        return value;
+    }
+
+    getCredentialConfig(baseName, environment) {
+        const workflowConfig = this.managedWorkflows.managedWorkflows.find(w => w.baseName === baseName);
+        return (workflowConfig && workflowConfig.credentials && workflowConfig.credentials[environment]) || {};
+    }
+
+    // The mappings from managed-workflows.json, with ids filled in by the pre-flight where it resolved them
+    getCredentialMapping(baseName, environment) {
+        const resolved = (this.resolvedCredentials[environment] || {})[baseName] || {};
+        return { ...this.getCredentialConfig(baseName, environment), ...resolved };
+    }
+
+    // Resolves the credential mappings of the given workflow files against the target instance
+    async resolveCredentials(environment, workflowFiles) {
+        // Files that are missing or cannot be parsed are left to the import, which reports them per workflow
+        const workflows = [];
+        for (const file of workflowFiles) {
+            try {
+                const workflowData = this.workflowFiles.parse(path.join('workflows', file));
+                workflows.push({ baseName: this.getBaseNameFromWorkflowName(workflowData.name), workflowData });
+            } catch (error) {
+                continue;
+            }
+        }
+
+        const results = await this.credentialPreflight.check(environment, workflows);
+        if (!results) {
+            return null;
+        }
+
+        this.resolvedCredentials[environment] = this.resolvedCredentials[environment] || {};
+        for (const result of results) {
+            this.resolvedCredentials[environment][result.baseName] = result.resolved;
+        }
+
+        return results;
+    }
+
+    // Runs before anything is imported: a missing credential stops the whole run.
+    // In a dry run the problems are added to the plan instead.
+    async checkCredentials(environment, workflowFiles) {
+        if (this.config.settings.credentialPreflight === false) {
+            return [];
+        }
+
+        // Skipped, with a warning, on instances that cannot list credentials
+        const results = await this.resolveCredentials(environment, workflowFiles);
+        if (!results) {
+            return [];
+        }
+        this.credentialPreflight.printReport(environment, results);
+
+        const errors = results.flatMap(result => result.problems
+            .filter(problem => problem.severity === 'error')
+            .map(problem => `${result.baseName} / ${problem.node}: ${problem.message}`));
+
+        // credentials --dry-run reports without a plan
+        if (this.dryRun && this.plan) {
+            this.plan.credentialProblems = results.flatMap(result => result.problems.map(problem => ({ workflow: result.baseName, ...problem })));
+        } else if (errors.length > 0) {
+            throw new Error(`Credential pre-flight failed for ${environment}:\n  ${errors.join('\n  ')}`);
+        }
+
+        return results;
     }
 
     cleanupNodeWebhookIds(workflowData) {
@@ -1042,6 +2270,113 @@ class WorkflowManager {
         }
     }
 
+    // The given base names (all workflow files by default) with every workflow after the workflows it calls
+    async getDependencyOrder(baseNames = null) {
+        const dependencies = new WorkflowDependencies(this);
+        const graph = await this.getDependencyGraph();
+        const names = baseNames || Object.keys(graph);
+        const { order, cycles } = dependencies.order(names, graph);
+
+        for (const cycle of cycles) {
+            console.warn(`⚠️ Circular workflow dependency: ${cycle.join(' → ')}`);
+        }
+        if (order.join('|') !== names.join('|')) {
+            console.log(`📐 Deploying in dependency order: ${order.join(' → ')}`);
+        }
+
+        return order;
+    }
+
+    // Built once per run from the workflow files
+    async getDependencyGraph() {
+        if (!this.dependencyGraph) {
+            this.dependencyGraph = await new WorkflowDependencies(this).buildGraph();
+        }
+        return this.dependencyGraph;
+    }
+
+    async showDependencies(baseName) {
+        const dependencies = new WorkflowDependencies(this);
+        const graph = await dependencies.buildGraph();
+
+        if (!graph[baseName]) {
+            throw new Error(`No workflow file found for ${baseName}`);
+        }
+
+        const required = dependencies.getDependencies(baseName, graph);
+        const dependents = dependencies.getDependents(baseName, graph);
+        const { cycles } = dependencies.order([baseName, ...required], graph);
+
+        console.log(`🔗 ${baseName}`);
+        console.log(`   Calls: ${graph[baseName].length > 0 ? graph[baseName].join(', ') : 'no other workflows'}`);
+        console.log(`   Called by: ${dependents.length > 0 ? dependents.join(', ') : 'no other workflows'}`);
+
+        if (required.length > 0) {
+            console.log(`\n📦 A release of ${baseName} also needs these workflows in the target environment (deploy order):`);
+            required.forEach((name, index) => console.log(`   ${index + 1}. ${name}`));
+        }
+        for (const cycle of cycles) {
+            console.warn(`⚠️ Circular workflow dependency: ${cycle.join(' → ')}`);
+        }
+
+        return { baseName, calls: graph[baseName], dependencies: required, dependents, cycles };
+    }
+
+    // Rewrites Execute Workflow / workflow tool references to the ids of the same workflows in the
+    // target environment. The callee is identified by name (base name + target suffix), so it has to
+    // exist there already. Returns the remapped references: [{ node, workflow, from, to }]
+    async remapWorkflowReferences(workflowData, sourceEnv, targetEnv, targetWorkflows) {
+        const references = this.workflowReferences.find(workflowData);
+        const changes = [];
+        let sourceWorkflows = null;
+
+        for (const reference of references) {
+            let calleeName = reference.cachedName;
+
+            // Older nodes only store the id: look it up where the workflow file came from
+            if (!calleeName) {
+                if (!sourceWorkflows) {
+                    sourceWorkflows = sourceEnv === targetEnv ? targetWorkflows : await this.getWorkflowList(sourceEnv);
+                }
+                const callee = sourceWorkflows.find(w => w.id === reference.workflowId) ||
+                    targetWorkflows.find(w => w.id === reference.workflowId);
+                if (!callee) {
+                    throw new Error(`Node "${reference.node}" calls workflow ${reference.workflowId}, which was not found in ${sourceEnv} or ${targetEnv}`);
+                }
+                calleeName = callee.name;
+            }
+
+            const calleeBaseName = this.getBaseNameFromWorkflowName(calleeName);
+            const targetName = calleeBaseName + this.getSuffix(targetEnv);
+            const target = targetWorkflows.find(w => w.name === targetName) || this.findPlannedWorkflow(targetName);
+
+            if (!target) {
+                throw new Error(`Node "${reference.node}" calls "${calleeBaseName}", which does not exist in ${targetEnv} yet. Deploy "${calleeBaseName}" to ${targetEnv} first.`);
+            }
+
+            const node = workflowData.nodes.find(n => n.name === reference.node);
+            this.workflowReferences.setWorkflowId(node, target.id, target.name);
+
+            if (reference.workflowId !== target.id) {
+                console.log(`🔗 Remapping sub-workflow call in ${reference.node}: ${calleeName} (${reference.workflowId}) → ${target.name} (${target.id})`);
+                changes.push({ node: reference.node, workflow: calleeBaseName, from: reference.workflowId, to: target.id, ...(target.planned ? { planned: true } : {}) });
+            }
+        }
+
+        return changes;
+    }
+
+    // In a dry-run, a workflow the plan creates earlier in dependency order: the real run would have created it by
+    // now, so its callers are planned against a placeholder id instead of failing
+    findPlannedWorkflow(workflowName) {
+        if (!this.dryRun || !this.plan) {
+            return null;
+        }
+
+        const entry = this.plan.workflows.find(w => w.action === 'create' && w.workflowName === workflowName);
+        return entry ? { id: PLANNED_WORKFLOW_ID, name: workflowName, planned: true } : null;
+    }
+
     // Helper method to add or update version sticky note
     addOrUpdateVersionStickyNote(workflowData, baseName, version, environment) {
         // Look for the existing version sticky note
@@ -1064,7 +2399,7 @@ class WorkflowManager {
             versionNote.parameters.content = noteContent;
 
             // Update color to indicate production deployment
-            if (environment === 'prod') {
+            if (this.environments.isProtected(environment)) {
                 versionNote.parameters.color = 4; // Green color for production
             }
         } else {
@@ -1082,7 +2417,7 @@ class WorkflowManager {
                     content: noteContent,
                     height: 260,
                     width: 280,
-                    color: environment === 'prod' ? 4 : 5 // Green for prod, yellow for other
+                    color: this.environments.isProtected(environment) ? 4 : 5 // Green for protected, yellow for other
                 },
                 type: "n8n-nodes-base.stickyNote",
                 typeVersion: 1,
@@ -1096,6 +2431,114 @@ class WorkflowManager {
         }
     }
 
+    startPlan(operation, environment, details = {}) {
+        this.plan = {
+            operation: operation,
+            environment: environment,
+            ...details,
+            plannedAt: new Date().toISOString(),
+            workflows: []
+        };
+    }
+
+    // Dry-run counterpart of saveWorkflow: records what would be written and how it differs from the live target
+    async planWorkflowChange(environment, existingWorkflow, workflowData, changes = {}) {
+        let liveWorkflow = null;
+        if (existingWorkflow) {
+            const response = await this.getClient(environment).get(`/api/v1/workflows/${existingWorkflow.id}`);
+            liveWorkflow = response.data;
+        }
+
+        const entry = this.secretResolver.mask({
+            workflowName: workflowData.name,
+            action: existingWorkflow ? 'update' : 'create',
+            workflowId: existingWorkflow ? existingWorkflow.id : null,
+            activation: this.getActivationPolicy(this.getBaseNameFromWorkflowName(workflowData.name), environment),
+            credentials: changes.credentials || [],
+            variables: changes.variables || null,
+            instanceVariables: changes.instanceVariables || null,
+            references: changes.references || [],
+            rewrites: changes.rewrites || [],
+            changes: liveWorkflow ? this.workflowDiff.describe(this.workflowDiff.compare(liveWorkflow, workflowData)) : []
+        });
+
+        this.printPlanEntry(entry);
+        this.plan.workflows.push(entry);
+
+        return { ...entry, status: 'planned' };
+    }
+
+    printPlanEntry(entry) {
+        const target = entry.workflowId ? `${entry.workflowName} (${entry.workflowId})` : entry.workflowName;
+        console.log(`📝 Would ${entry.action}: ${target}`);
+
+        for (const credential of entry.credentials) {
+            console.log(`   🔑 ${credential.node} (${credential.type}): ${credential.from || 'none'} → ${credential.to}`);
+        }
+        if (entry.variables) {
+            console.log(`   🔧 Configuration variables: ${JSON.stringify(entry.variables)}`);
+        }
+        if (entry.instanceVariables) {
+            for (const variable of entry.instanceVariables.create) {
+                console.log(`   🔧 n8n variable ${variable.key}: create = ${JSON.stringify(variable.value)}`);
+            }
+            for (const variable of entry.instanceVariables.update) {
+                console.log(`   🔧 n8n variable ${variable.key}: update → ${JSON.stringify(variable.value)}`);
+            }
+        }
+        for (const reference of entry.references) {
+            console.log(`   🔗 ${reference.node} → ${reference.workflow}: ${reference.from} → ${reference.to}`);
+        }
+        for (const rewrite of entry.rewrites) {
+            console.log(`   🔀 ${rewrite.node} ${rewrite.field}: ${rewrite.from} → ${rewrite.to}`);
+        }
+        if (entry.activation) {
+            console.log(`   🟢 Activation policy: ${entry.activation}`);
+        }
+        if (entry.action === 'update') {
+            for (const change of entry.changes) {
+                console.log(`   ✏️  ${change.description}`);
+                if ('from' in change) {
+                    console.log(`        ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+                }
+                (change.lines || change.details || []).forEach(line => console.log(`        ${line}`));
+            }
+            if (entry.changes.length === 0) {
+                console.log('   ✔️  No changes compared to the live workflow');
+            }
+        }
+    }
+
+    savePlan(results) {
+        // Entries are recorded as workflows finish; the plan lists them in the order of the results
+        const position = entry => results.findIndex(r => r.status === 'planned' && r.workflowName === entry.workflowName);
+        this.plan.workflows.sort((a, b) => position(a) - position(b));
+
+        const plan = {
+            ...this.plan,
+            toCreate: this.plan.workflows.filter(w => w.action === 'create').length,
+            toUpdate: this.plan.workflows.filter(w => w.action === 'update').length,
+            failed: results.filter(r => r.status === 'failed').map(r => ({
+                workflowName: r.workflowName || r.fileName || r.baseName,
+                error: r.error
+            }))
+        };
+
+        fs.mkdirSync('logs', { recursive: true });
+        const planPath = path.join('logs', `_plan_${plan.operation}_${plan.environment}.json`);
+        fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+
+        console.log(`\n📋 Plan: ${plan.toCreate} to create, ${plan.toUpdate} to update, ${plan.failed.length} failed - nothing was changed in n8n`);
+
+        const credentialErrors = (plan.credentialProblems || []).filter(problem => problem.severity === 'error');
+        if (credentialErrors.length > 0) {
+            console.log(`❌ The credential pre-flight found ${credentialErrors.length} missing credentials - the real run would stop before importing`);
+        }
+        console.log(`📊 Plan saved: ${planPath}`);
+
+        return results;
+    }
+
     createImportSummary(results, environment) {
         const summary = {
             importedAt: new Date().toISOString(),
@@ -1103,12 +2546,16 @@ class WorkflowManager {
             totalWorkflows: results.length,
             successful: results.filter(r => r.status === 'success').length,
             failed: results.filter(r => r.status === 'failed').length,
+            activationFailed: results.filter(r => r.activation && r.activation.status === 'failed').length,
             results: results.map(r => ({
                 workflowName: r.workflowName || r.fileName,
                 action: r.action,
                 status: r.status,
                 error: r.error,
-                previouslyActive: r.previouslyActive
+                previouslyActive: r.previouslyActive,
+                activation: r.activation,
+                rewrites: r.rewrites,
+                instanceVariables: r.instanceVariables
             }))
         };
 
@@ -1128,8 +2575,10 @@ if (require.main === module) {
         process.exit(1);
     }
 
-    const manager = new WorkflowManager();
-    manager.handleCommand(command, args);
+    // --dry-run (alias --plan) previews import, deploy, promote, restore and backup cleanup without touching anything
+    const dryRun = args.includes('--dry-run') || args.includes('--plan');
+    const manager = new WorkflowManager({ dryRun });
+    manager.handleCommand(command, args.filter(arg => arg !== '--dry-run' && arg !== '--plan'));
 }
 
 module.exports = WorkflowManager;
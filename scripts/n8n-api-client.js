@@ -0,0 +1,168 @@
+const axios = require('axios');
+const { RateLimitError, ServerError, NetworkError, toApiError } = require('./api-errors.js');
+
+const DEFAULT_OPTIONS = {
+    retries: 3,
+    retryBaseDelayMs: 500,
+    retryMaxDelayMs: 30000,
+    // A Retry-After longer than this fails fast instead of stalling the whole run
+    maxRetryAfterMs: 120000,
+    logRequests: false,
+    // Applied to logged request bodies, for secrets that are not under a secret-looking key
+    mask: value => value
+};
+
+// Methods that are safe to send twice; POST is only retried when the server never processed it
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const SECRET_KEY_PATTERN = /api[-_]?key|token|secret|password|authorization|passphrase/i;
+
+class N8nApiClient {
+    constructor(connection, options = {}) {
+        this.connection = connection;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        if (process.env.N8N_API_DEBUG === '1' || process.env.N8N_API_DEBUG === 'true') {
+            this.options.logRequests = true;
+        }
+
+        this.http = axios.create({
+            baseURL: connection.baseUrl,
+            timeout: connection.timeout,
+            headers: {
+                'X-N8N-API-KEY': connection.apiKey,
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    // axios-compatible helpers, so call sites keep using client.get/put/post
+    get(url, config = {}) {
+        return this.request('GET', url, config);
+    }
+
+    delete(url, config = {}) {
+        return this.request('DELETE', url, config);
+    }
+
+    post(url, data, config = {}) {
+        return this.request('POST', url, { ...config, data });
+    }
+
+    put(url, data, config = {}) {
+        return this.request('PUT', url, { ...config, data });
+    }
+
+    patch(url, data, config = {}) {
+        return this.request('PATCH', url, { ...config, data });
+    }
+
+    async request(method, url, config = {}) {
+        const { retries } = this.options;
+
+        for (let attempt = 0; ; attempt++) {
+            const startedAt = Date.now();
+            this.logRequest(method, url, config, attempt);
+
+            try {
+                const response = await this.http.request({
+                    method,
+                    url,
+                    data: config.data,
+                    params: config.params,
+                    // Per-request timeout overrides the connection profile timeout
+                    timeout: config.timeout !== undefined ? config.timeout : this.connection.timeout
+                });
+
+                this.logResponse(method, url, response.status, Date.now() - startedAt);
+                return response;
+            } catch (error) {
+                const apiError = toApiError(error, method, url);
+                this.logResponse(method, url, apiError.status || apiError.code, Date.now() - startedAt);
+
+                if (attempt >= retries || !this.isRetryable(apiError, method)) {
+                    throw apiError;
+                }
+
+                const delay = this.getRetryDelay(apiError, attempt);
+                if (delay === null) {
+                    throw apiError;
+                }
+
+                console.warn(`⏳ ${apiError.message} - retrying in ${Math.round(delay)}ms (attempt ${attempt + 2}/${retries + 1})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    isRetryable(apiError, method) {
+        const isTransient = apiError instanceof RateLimitError ||
+            apiError instanceof ServerError ||
+            apiError instanceof NetworkError;
+
+        if (!isTransient) {
+            return false;
+        }
+
+        if (IDEMPOTENT_METHODS.includes(method.toUpperCase())) {
+            return true;
+        }
+
+        // A 429 or a connection that was never established means the request was not processed
+        return apiError instanceof RateLimitError || NOT_SENT_CODES.includes(apiError.code);
+    }
+
+    // Exponential backoff with jitter; Retry-After from the server wins when present.
+    // Returns null when the server asks us to wait longer than we are willing to.
+    getRetryDelay(apiError, attempt) {
+        const { retryBaseDelayMs, retryMaxDelayMs, maxRetryAfterMs } = this.options;
+
+        if (apiError.retryAfterMs !== null && apiError.retryAfterMs !== undefined) {
+            return apiError.retryAfterMs <= maxRetryAfterMs ? apiError.retryAfterMs : null;
+        }
+
+        const backoff = retryBaseDelayMs * Math.pow(2, attempt);
+        const jitter = Math.random() * retryBaseDelayMs;
+        return Math.min(backoff + jitter, retryMaxDelayMs);
+    }
+
+    logRequest(method, url, config, attempt) {
+        if (!this.options.logRequests) return;
+
+        const query = config.params ? ` ${JSON.stringify(N8nApiClient.redact(config.params))}` : '';
+        const retry = attempt > 0 ? ` (retry ${attempt})` : '';
+        console.log(`  ➡️  ${method} ${this.connection.baseUrl}${url}${query}${retry}`);
+        console.log(`      headers: ${JSON.stringify(N8nApiClient.redact({ 'X-N8N-API-KEY': this.connection.apiKey }))}`);
+
+        if (config.data !== undefined) {
+            const body = JSON.stringify(N8nApiClient.redact(this.options.mask(config.data)));
+            console.log(`      body: ${body.length > 500 ? body.substring(0, 500) + `... (${body.length} chars)` : body}`);
+        }
+    }
+
+    logResponse(method, url, status, durationMs) {
+        if (!this.options.logRequests) return;
+        console.log(`  ⬅️  ${status} ${method} ${url} (${durationMs}ms)`);
+    }
+
+    // Deep copy with every secret-looking key masked
+    static redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => N8nApiClient.redact(item));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                if (typeof item === 'function') continue;
+                result[key] = SECRET_KEY_PATTERN.test(key) && item !== undefined && item !== null && typeof item !== 'object'
+                    ? '***'
+                    : N8nApiClient.redact(item);
+            }
+            return result;
+        }
+        return value;
+    }
+}
+
+module.exports = N8nApiClient;
@@ -3,6 +3,8 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const WorkflowDiff = require('./workflow-diff.js');
+const WorkflowFiles = require('./workflow-files.js');
 
 class ReleaseManager {
     constructor() {
@@ -16,15 +18,16 @@ class ReleaseManager {
         const manager = new WorkflowManager();
 
         try {
-            const workflows = await manager.getAllWorkflows();
-            const devWorkflow = workflows.find(w => w.name === `${workflowName}-dev`);
+            const sourceEnv = manager.environments.getSourceEnvironment();
+            const sourceWorkflowName = workflowName + manager.getSuffix(sourceEnv);
+            const sourceWorkflow = await manager.findWorkflowByName(sourceWorkflowName, sourceEnv);
 
-            if (!devWorkflow) {
-                throw new Error(`Dev workflow not found: ${workflowName}-dev`);
+            if (!sourceWorkflow) {
+                throw new Error(`${sourceEnv} workflow not found: ${sourceWorkflowName}`);
             }
 
-            console.log(`✅ Found dev workflow: ${workflowName}-dev`);
-            return devWorkflow;
+            console.log(`✅ Found ${sourceEnv} workflow: ${sourceWorkflowName}`);
+            return sourceWorkflow;
         } catch (error) {
             console.error(`❌ Validation failed: ${error.message}`);
             throw error;
@@ -38,7 +41,7 @@ class ReleaseManager {
         const manager = new WorkflowManager();
 
         try {
-            await manager.exportManagedWorkflows('dev', [workflowName]);
+            await manager.exportManagedWorkflows(manager.environments.getSourceEnvironment(), [workflowName]);
             console.log(`✅ Exported workflow: ${workflowName}`);
         } catch (error) {
             console.error(`❌ Export failed: ${error.message}`);
@@ -216,12 +219,12 @@ class ReleaseManager {
             // Check if workflow exists in prod branch
             try {
                 execSync('git checkout prod', { stdio: 'ignore' });
-                const prodWorkflowExists = fs.existsSync(workflowPath);
+                const prodWorkflowExists = new WorkflowFiles().exists(workflowPath);
                 changeAnalysis.isNewWorkflow = !prodWorkflowExists;
 
                 if (prodWorkflowExists) {
                     // Read prod version
-                    changeAnalysis.prodWorkflow = JSON.parse(fs.readFileSync(workflowPath, 'utf8'));
+                    changeAnalysis.prodWorkflow = new WorkflowFiles().read(workflowPath);
                     console.log('📋 Found existing prod version for comparison');
                 } else {
                     console.log('📝 New workflow - no prod version exists');
@@ -234,8 +237,8 @@ class ReleaseManager {
             // Switch back to original branch and read current version
             execSync(`git checkout ${currentBranch}`, { stdio: 'ignore' });
 
-            if (fs.existsSync(workflowPath)) {
-                changeAnalysis.mainWorkflow = JSON.parse(fs.readFileSync(workflowPath, 'utf8'));
+            if (new WorkflowFiles().exists(workflowPath)) {
+                changeAnalysis.mainWorkflow = new WorkflowFiles().read(workflowPath);
             } else {
                 throw new Error(`Workflow file not found in main branch: ${workflowPath}`);
             }
@@ -269,45 +272,9 @@ class ReleaseManager {
     }
 
     compareWorkflows(prodWorkflow, mainWorkflow) {
-        const changes = [];
-
-        // Compare node count
-        const prodNodes = prodWorkflow.nodes ? prodWorkflow.nodes.length : 0;
-        const mainNodes = mainWorkflow.nodes ? mainWorkflow.nodes.length : 0;
-
-        if (prodNodes !== mainNodes) {
-            changes.push({
-                type: 'node_count',
-                description: `Node count changed`,
-                from: prodNodes,
-                to: mainNodes
-            });
-        }
-
-        // Compare node types
-        if (prodWorkflow.nodes && mainWorkflow.nodes) {
-            const prodTypes = new Set(prodWorkflow.nodes.map(n => n.type));
-            const mainTypes = new Set(mainWorkflow.nodes.map(n => n.type));
-
-            const addedTypes = [...mainTypes].filter(t => !prodTypes.has(t));
-            const removedTypes = [...prodTypes].filter(t => !mainTypes.has(t));
-
-            if (addedTypes.length > 0) {
-                changes.push({
-                    type: 'node_types_added',
-                    description: `Added node types`,
-                    details: addedTypes
-                });
-            }
-
-            if (removedTypes.length > 0) {
-                changes.push({
-                    type: 'node_types_removed',
-                    description: `Removed node types`,
-                    details: removedTypes
-                });
-            }
-        }
+        // Node, parameter, credential, connection and settings changes
+        const workflowDiff = new WorkflowDiff();
+        const changes = workflowDiff.describe(workflowDiff.compare(prodWorkflow, mainWorkflow));
 
         // Compare active status
         if (prodWorkflow.active !== mainWorkflow.active) {
@@ -360,7 +327,9 @@ class ReleaseManager {
                 for (const change of changeAnalysis.changes) {
                     markdown += `**${change.description}:**\n`;
 
-                    if (change.from !== undefined && change.to !== undefined) {
+                    if (change.lines) {
+                        markdown += `\`\`\`diff\n${change.lines.join('\n')}\n\`\`\`\n`;
+                    } else if (change.from !== undefined || change.to !== undefined) {
                         markdown += `- From: ${JSON.stringify(change.from)}\n`;
                         markdown += `- To: ${JSON.stringify(change.to)}\n`;
                     } else if (change.details) {
@@ -369,8 +338,8 @@ class ReleaseManager {
                     markdown += `\n`;
                 }
             } else {
-                markdown += `### No structural changes detected\n\n`;
-                markdown += `This release may include internal workflow logic changes that are not visible in the structural comparison.\n\n`;
+                markdown += `### No changes detected\n\n`;
+                markdown += `Nodes, parameters, credentials, connections and settings are identical to the production version.\n\n`;
             }
 
             if (changeAnalysis.mainWorkflow) {
@@ -575,6 +544,8 @@ Merge the associated pull request to deploy to production.
         console.log('📋 Getting all managed workflows with their current versions');
 
         const managedWorkflows = this.managedWorkflows || JSON.parse(fs.readFileSync('config/managed-workflows.json', 'utf8'));
+        const EnvironmentRegistry = require('./environment-registry.js');
+        const environments = new EnvironmentRegistry();
 
         const workflowsWithVersions = managedWorkflows.managedWorkflows.map(workflow => {
             const currentVersion = this.getCurrentReleasedVersion(workflow.baseName);
@@ -585,7 +556,7 @@ Merge the associated pull request to deploy to production.
                 description: workflow.description,
                 currentVersion: currentVersion || 'No releases',
                 suggestedVersion: suggestedVersion,
-                environments: ['dev', 'prod']
+                environments: workflow.environments || environments.getNames()
             };
         });
 
@@ -0,0 +1,214 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { RateLimitError, ServerError, NetworkError, toApiError } = require('./api-errors.js');
+
+const DEFAULT_OPTIONS = {
+    region: 'us-east-1',
+    // AWS by default; MinIO, Ceph, R2, ... with their own endpoint
+    endpoint: null,
+    // Bucket in the path (https://host/bucket/key), which every S3-compatible server supports;
+    // false for virtual-hosted buckets (https://bucket.host/key)
+    forcePathStyle: true,
+    prefix: '',
+    accessKeyIdEnv: 'BACKUP_S3_ACCESS_KEY_ID',
+    secretAccessKeyEnv: 'BACKUP_S3_SECRET_ACCESS_KEY',
+    sessionTokenEnv: 'BACKUP_S3_SESSION_TOKEN',
+    timeout: 60000,
+    retries: 3,
+    retryBaseDelayMs: 500
+};
+
+const EMPTY_PAYLOAD = Buffer.alloc(0);
+
+// Backup storage in an S3-compatible bucket, signed with AWS Signature Version 4:
+// "backupStorage": { "type": "s3", "bucket": "n8n-backups", "region": "eu-central-1", "prefix": "prod/" }
+// The credentials are read from the environment variables named by accessKeyIdEnv and secretAccessKeyEnv.
+class S3BackupStorage {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        if (!this.options.bucket) {
+            throw new Error('settings.backupStorage.bucket is required for the s3 backend');
+        }
+        this.endpoint = new URL(this.options.endpoint || `https://s3.${this.options.region}.amazonaws.com`);
+    }
+
+    describe() {
+        return `s3://${this.options.bucket}/${this.options.prefix}`;
+    }
+
+    // Objects directly under the prefix; ListObjectsV2 returns at most 1000 per page
+    async list() {
+        const entries = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: this.options.prefix, delimiter: '/' };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const xml = (await this.request('GET', null, { query })).data.toString('utf8');
+            for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                entries.push({
+                    fileName: this.readXml(contents, 'Key').slice(this.options.prefix.length),
+                    size: Number(this.readXml(contents, 'Size')),
+                    lastModified: new Date(this.readXml(contents, 'LastModified'))
+                });
+            }
+
+            continuationToken = this.readXml(xml, 'IsTruncated') === 'true' ? this.readXml(xml, 'NextContinuationToken') : null;
+        } while (continuationToken);
+
+        return entries;
+    }
+
+    // S3 rejects the upload when the content does not match its signed SHA-256
+    async upload(fileName, content) {
+        await this.request('PUT', this.options.prefix + fileName, { body: content });
+    }
+
+    async download(fileName) {
+        return (await this.request('GET', this.options.prefix + fileName)).data;
+    }
+
+    async delete(fileName) {
+        await this.request('DELETE', this.options.prefix + fileName);
+    }
+
+    async request(method, key, { query = {}, body = EMPTY_PAYLOAD } = {}) {
+        const { retries, retryBaseDelayMs } = this.options;
+        const target = key === null ? this.options.bucket : `${this.options.bucket}/${key}`;
+
+        for (let attempt = 0; ; attempt++) {
+            const { url, headers } = this.signRequest(method, key, query, body, new Date());
+
+            try {
+                const response = await axios.request({
+                    method,
+                    url,
+                    headers,
+                    data: method === 'PUT' ? body : undefined,
+                    responseType: 'arraybuffer',
+                    timeout: this.options.timeout,
+                    maxBodyLength: Infinity,
+                    maxContentLength: Infinity
+                });
+                return { ...response, data: Buffer.from(response.data) };
+            } catch (error) {
+                const apiError = toApiError(this.withS3Message(error), method, `s3://${target}`);
+                const isTransient = apiError instanceof RateLimitError || apiError instanceof ServerError || apiError instanceof NetworkError;
+
+                // GET, PUT and DELETE are all safe to send again
+                if (attempt >= retries || !isTransient) {
+                    throw apiError;
+                }
+
+                const delay = retryBaseDelayMs * Math.pow(2, attempt);
+                console.warn(`⏳ ${apiError.message} - retrying in ${delay}ms (attempt ${attempt + 2}/${retries + 1})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // The URL and headers of a request signed with AWS Signature Version 4 (the payload is signed as well)
+    signRequest(method, key, query, body, date) {
+        const { bucket, region, forcePathStyle } = this.options;
+        const { accessKeyId, secretAccessKey, sessionToken } = this.getCredentials();
+
+        const host = forcePathStyle ? this.endpoint.host : `${bucket}.${this.endpoint.host}`;
+        const segments = [...(forcePathStyle ? [bucket] : []), ...(key === null ? [] : key.split('/'))];
+        const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+        const canonicalUri = `${basePath}/${segments.map(segment => this.encode(segment)).join('/')}`;
+        const canonicalQuery = Object.keys(query).sort()
+            .map(name => `${this.encode(name)}=${this.encode(query[name])}`)
+            .join('&');
+
+        const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+        const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+        const headers = {
+            host,
+            'x-amz-content-sha256': this.sha256(body),
+            'x-amz-date': amzDate
+        };
+        if (sessionToken) {
+            headers['x-amz-security-token'] = sessionToken;
+        }
+
+        const headerNames = Object.keys(headers).sort();
+        const canonicalRequest = [
+            method,
+            canonicalUri,
+            canonicalQuery,
+            headerNames.map(name => `${name}:${headers[name]}\n`).join(''),
+            headerNames.join(';'),
+            headers['x-amz-content-sha256']
+        ].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, this.sha256(canonicalRequest)].join('\n');
+
+        const signingKey = [amzDate.slice(0, 8), region, 's3', 'aws4_request']
+            .reduce((signingKey, part) => this.hmac(signingKey, part), `AWS4${secretAccessKey}`);
+        headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+            `SignedHeaders=${headerNames.join(';')}, Signature=${this.hmac(signingKey, stringToSign).toString('hex')}`;
+
+        // Node sets the Host header itself, from the URL
+        delete headers.host;
+
+        return {
+            url: `${this.endpoint.protocol}//${host}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`,
+            headers
+        };
+    }
+
+    getCredentials() {
+        const { accessKeyIdEnv, secretAccessKeyEnv, sessionTokenEnv } = this.options;
+        const accessKeyId = process.env[accessKeyIdEnv];
+        const secretAccessKey = process.env[secretAccessKeyEnv];
+
+        if (!accessKeyId || !secretAccessKey) {
+            throw new Error(`Set ${accessKeyIdEnv} and ${secretAccessKeyEnv} for the s3 backup storage`);
+        }
+        return { accessKeyId, secretAccessKey, sessionToken: process.env[sessionTokenEnv] || null };
+    }
+
+    // The error code and message of an S3 error response, instead of axios' "Request failed with status code 403"
+    withS3Message(error) {
+        if (error.response && error.response.data) {
+            const xml = Buffer.from(error.response.data).toString('utf8');
+            const code = this.readXml(xml, 'Code');
+            if (code) {
+                const message = this.readXml(xml, 'Message');
+                error.response.data = { message: message ? `${code} - ${message}` : code };
+            }
+        }
+        return error;
+    }
+
+    readXml(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+        if (!match) {
+            return null;
+        }
+        return match[1]
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    // RFC 3986, as SigV4 expects: encodeURIComponent leaves !'()* alone
+    encode(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    sha256(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    hmac(key, content) {
+        return crypto.createHmac('sha256', key).update(content).digest();
+    }
+}
+
+module.exports = S3BackupStorage;
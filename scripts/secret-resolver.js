@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+
+// References like ${env:API_TOKEN} inside variable values, alone or as part of a longer string
+const REFERENCE_PATTERN = /\$\{([a-zA-Z][\w-]*):([^}]+)\}/g;
+
+// Shorter values would mask unrelated JSON strings all over the logs
+const MIN_MASKED_LENGTH = 4;
+
+// A JSON value that is not an object or array
+const JSON_SCALAR = '"(?:[^"\\\\]|\\\\.)*"|-?\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?|true|false|null';
+
+const DEFAULT_OPTIONS = {
+    // Local secret file per environment for ${secret:KEY}, never committed
+    localFile: 'secrets/{env}.json',
+    // Extra schemes: { "vault": "./scripts/vault-resolver.js" }, each module exporting (key, { environment }) => value
+    resolvers: {}
+};
+
+class SecretResolver {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.resolvers = {};
+        // Every value resolved so far, so it can be masked wherever it shows up
+        this.secretValues = new Set();
+        // Variable names holding a secret: their previous values (e.g. in a diff against the live workflow) are masked too
+        this.secretKeys = new Set();
+        this.localFiles = {};
+
+        this.register('env', key => process.env[key]);
+        this.register('file', key => this.readFile(key));
+        this.register('secret', (key, context) => this.readLocalSecret(key, context.environment));
+
+        for (const [scheme, modulePath] of Object.entries(this.options.resolvers)) {
+            this.register(scheme, require(path.resolve(modulePath)));
+        }
+    }
+
+    // resolver: (key, { environment }) => string, or undefined when the secret is not defined
+    register(scheme, resolver) {
+        if (typeof resolver !== 'function') {
+            throw new Error(`Secret resolver "${scheme}" must be a function`);
+        }
+        this.resolvers[scheme] = resolver;
+    }
+
+    // Resolves every reference in a value (strings, arrays and objects), throwing when a secret is undefined.
+    // location says where the value came from, for the error message.
+    resolve(value, context, location) {
+        if (typeof value === 'string') {
+            return this.resolveString(value, context, location);
+        }
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.resolve(item, context, `${location}[${index}]`));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = this.resolve(item, context, `${location}.${key}`);
+                if (typeof item === 'string' && result[key] !== item) {
+                    this.secretKeys.add(key);
+                }
+            }
+            return result;
+        }
+        return value;
+    }
+
+    resolveString(value, context, location) {
+        const resolved = value.replace(REFERENCE_PATTERN, (reference, scheme, key) => {
+            const resolver = this.resolvers[scheme];
+            if (!resolver) {
+                throw new Error(`Unknown secret reference ${reference} in ${location} (known: ${Object.keys(this.resolvers).join(', ')})`);
+            }
+
+            const secret = resolver(key.trim(), context);
+            if (secret === undefined || secret === null) {
+                throw new Error(`Secret ${reference} used in ${location} is not defined`);
+            }
+
+            const secretValue = String(secret);
+            if (secretValue.length >= MIN_MASKED_LENGTH) {
+                this.secretValues.add(secretValue);
+            }
+            return secretValue;
+        });
+
+        // "Bearer ${secret:key}" is masked as a whole value, too
+        if (resolved !== value && resolved.length >= MIN_MASKED_LENGTH) {
+            this.secretValues.add(resolved);
+        }
+        return resolved;
+    }
+
+    // Whether a value (string, array or object) holds a reference anywhere
+    hasReference(value) {
+        return (JSON.stringify(value) || '').search(REFERENCE_PATTERN) !== -1;
+    }
+
+    // Whether any value resolved so far appears in the text as a whole JSON string, or one escaped inside another
+    // (the Configuration node's code)
+    containsSecret(text) {
+        return [...this.secretValues].some(secret => this.getQuotedForms(secret).some(quoted => text.includes(quoted)));
+    }
+
+    // Deep copy with every resolved secret replaced by ***. Only whole values are masked: a string that is a secret,
+    // a JSON string holding one, and the values of the variables that hold secrets ("apiToken": ...), so a secret
+    // like "true" does not mask every "active": true.
+    mask(value) {
+        if (this.secretValues.size === 0 && this.secretKeys.size === 0) {
+            return value;
+        }
+        if (typeof value === 'string') {
+            return this.secretValues.has(value) ? '***' : this.maskText(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.mask(item));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = this.secretKeys.has(key) && item !== null && typeof item !== 'object' ? '***' : this.mask(item);
+            }
+            return result;
+        }
+        return value;
+    }
+
+    // Text holding JSON, e.g. the code of a Configuration node or a line of a diff
+    maskText(text) {
+        let masked = text;
+        for (const key of this.secretKeys) {
+            const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            masked = masked.replace(new RegExp(`("${escapedKey}":\\s*)(?:${JSON_SCALAR})`, 'g'), '$1"***"');
+        }
+        for (const secret of [...this.secretValues].sort((a, b) => b.length - a.length)) {
+            const [quoted, escaped] = this.getQuotedForms(secret);
+            masked = masked.split(quoted).join('"***"').split(escaped).join('\\"***\\"');
+        }
+        return masked;
+    }
+
+    // "secret" as a JSON string, and as that string written inside another JSON string
+    getQuotedForms(secret) {
+        const quoted = JSON.stringify(secret);
+        return [quoted, JSON.stringify(quoted).slice(1, -1)];
+    }
+
+    // ${file:path} - relative to the repository root; a single trailing newline is dropped
+    readFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return undefined;
+        }
+        return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+    }
+
+    // ${secret:KEY} - from the environment's local secret file (a flat JSON object)
+    readLocalSecret(key, environment) {
+        const filePath = this.options.localFile.replace('{env}', environment);
+
+        if (!(filePath in this.localFiles)) {
+            this.localFiles[filePath] = fs.existsSync(filePath)
+                ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+                : null;
+        }
+
+        if (!this.localFiles[filePath]) {
+            throw new Error(`Secret file ${filePath} not found (needed for \${secret:${key}})`);
+        }
+        return this.localFiles[filePath][key];
+    }
+}
+
+module.exports = SecretResolver;
@@ -0,0 +1,25 @@
+// Runs an async task per item with at most `limit` tasks in flight. The results keep the order
+// of the items, whatever order the tasks finish in.
+class TaskPool {
+    constructor(limit = 4) {
+        this.limit = Math.max(1, parseInt(limit, 10) || 1);
+    }
+
+    async map(items, task) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        // Each runner picks up the next item as soon as its previous task is done
+        const runner = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await task(items[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.limit, items.length) }, runner));
+        return results;
+    }
+}
+
+module.exports = TaskPool;
@@ -2,24 +2,31 @@
 
 const fs = require('fs');
 const path = require('path');
+const EnvironmentRegistry = require('./environment-registry.js');
+const VariableSchema = require('./variable-schema.js');
+const WorkflowFiles = require('./workflow-files.js');
 
 class SuffixAwareValidator {
     constructor() {
         this.managedWorkflows = JSON.parse(fs.readFileSync('config/managed-workflows.json', 'utf8'));
+        this.environments = new EnvironmentRegistry();
+        this.variableSchema = new VariableSchema();
+        this.workflowFiles = new WorkflowFiles();
         this.errors = [];
         this.warnings = [];
     }
 
     validateExportedWorkflows() {
-        const exportDir = path.join('workflows', 'exported');
+        const exportDir = 'workflows';
+
+        this.validateVariables();
 
         if (!fs.existsSync(exportDir)) {
             console.error('❌ No exported workflows found');
             process.exit(1);
         }
 
-        const files = fs.readdirSync(exportDir)
-            .filter(f => f.endsWith('.json') && !f.startsWith('_'));
+        const files = this.workflowFiles.list(exportDir);
 
         console.log(`🔍 Validating ${files.length} exported workflows...`);
 
@@ -38,8 +45,7 @@ class SuffixAwareValidator {
         const fileName = path.basename(filePath);
 
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const workflow = JSON.parse(content);
+            const workflow = this.workflowFiles.parse(filePath);
 
             // Basic validation
             this.validateBasicStructure(workflow, fileName);
@@ -53,14 +59,67 @@ class SuffixAwareValidator {
             // Node validation
             this.validateNodes(workflow, fileName);
 
+            // Code files of a workflow exported with splitCode
+            this.validateCodeFiles(workflow, filePath);
+
         } catch (error) {
             this.errors.push({
                 file: fileName,
-                error: `Invalid JSON: ${error.message}`
+                error: `Invalid workflow file: ${error.message}`
+            });
+        }
+    }
+
+    validateCodeFiles(workflow, filePath) {
+        try {
+            this.workflowFiles.inline(workflow, path.dirname(filePath));
+        } catch (error) {
+            this.errors.push({
+                file: path.basename(filePath),
+                error: error.message
             });
         }
     }
 
+    // Every environment's variables against the workflow's variableSchema, and keys missing in some environments
+    validateVariables() {
+        const file = 'managed-workflows.json';
+
+        for (const config of this.managedWorkflows.managedWorkflows) {
+            const environments = config.environments || this.environments.getNames();
+            const variables = config.variables || {};
+            const schema = config.variableSchema;
+
+            if (config.variablesTarget && !['configurationNode', 'n8nVariables'].includes(config.variablesTarget)) {
+                this.errors.push({ file, error: `${config.baseName} variablesTarget must be "configurationNode" or "n8nVariables"` });
+            }
+
+            if (schema) {
+                for (const error of this.variableSchema.validateSchema(schema)) {
+                    this.errors.push({ file, error: `${config.baseName} variableSchema.${error}` });
+                }
+
+                for (const environment of environments) {
+                    const result = this.variableSchema.validate(variables[environment] || {}, schema, { allowReferences: true });
+                    for (const error of result.errors) {
+                        this.errors.push({ file, error: `${config.baseName} variables.${environment}.${error}` });
+                    }
+                    for (const key of result.unknownKeys) {
+                        this.warnings.push({ file, warning: `${config.baseName} variables.${environment}.${key} is not in variableSchema` });
+                    }
+                }
+            }
+
+            if (Object.keys(variables).length > 0) {
+                const variablesByEnvironment = Object.fromEntries(environments.map(env => [env, variables[env]]));
+                const inconsistent = this.variableSchema.findInconsistentKeys(variablesByEnvironment, schema);
+                for (const [key, missingIn] of Object.entries(inconsistent)) {
+                    this.warnings.push({ file, warning: `${config.baseName} variable "${key}" is missing in ${missingIn.join(', ')}` });
+                }
+            }
+        }
+    }
+
     validateBasicStructure(workflow, fileName) {
         const required = ['name', 'nodes', 'connections'];
 
@@ -77,14 +136,7 @@ class SuffixAwareValidator {
     validateWorkflowSuffix(workflow, fileName) {
         if (!workflow.name) return;
 
-        const validSuffixes = [
-            '-dev',
-            '-prod',
-        ].filter(Boolean);
-
-        const hasValidSuffix = validSuffixes.some(suffix =>
-            workflow.name.endsWith(suffix)
-        );
+        const hasValidSuffix = this.getEnvironment(workflow.name) !== 'unknown';
 
         if (!hasValidSuffix) {
             this.warnings.push({
@@ -122,7 +174,8 @@ class SuffixAwareValidator {
 
         if (managedConfig) {
             // Check if this environment is expected for this workflow
-            if (!['dev', 'prod'].includes(environment)) {
+            const expectedEnvironments = managedConfig.environments || this.environments.getNames();
+            if (!expectedEnvironments.includes(environment)) {
                 this.warnings.push({
                     file: fileName,
                     warning: `Environment "${environment}" not configured for workflow "${baseName}"`
@@ -130,12 +183,12 @@ class SuffixAwareValidator {
             }
 
             // Check for environment-specific issues
-            if (environment === 'prod') {
-                // Production workflows should not have test/debug content
+            if (this.environments.isProtected(environment)) {
+                // Protected (production-like) workflows should not have test/debug content
                 if (this.hasTestContent(workflow)) {
                     this.errors.push({
                         file: fileName,
-                        error: `Production workflow contains test/debug content`
+                        error: `Protected ${environment} workflow contains test/debug content`
                     });
                 }
             }
@@ -172,8 +225,8 @@ class SuffixAwareValidator {
     }
 
     validateNodeForEnvironment(node, environment, fileName) {
-        // Production-specific validations
-        if (environment === 'prod') {
+        // Protected (production-like) environment validations
+        if (this.environments.isProtected(environment)) {
             // Check for hardcoded test URLs
             if (node.parameters) {
                 const params = JSON.stringify(node.parameters);
@@ -209,23 +262,11 @@ class SuffixAwareValidator {
     }
 
     getBaseName(workflowName) {
-        const suffixes = [
-            '-dev',
-            '-prod',
-        ].filter(Boolean);
-
-        for (const suffix of suffixes) {
-            if (workflowName.endsWith(suffix)) {
-                return workflowName.substring(0, workflowName.length - suffix.length);
-            }
-        }
-        return workflowName;
+        return this.environments.getBaseNameFromWorkflowName(workflowName);
     }
 
     getEnvironment(workflowName) {
-        if (workflowName.endsWith('-dev')) return 'dev';
-        if (workflowName.endsWith('-prod')) return 'prod';
-        return 'unknown';
+        return this.environments.getEnvironmentFromWorkflowName(workflowName) || 'unknown';
     }
 
     reportResults() {
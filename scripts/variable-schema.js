@@ -0,0 +1,157 @@
+// Optional "variableSchema" of a managed workflow, describing the variables injected into its Configuration node:
+// "variableSchema": {
+//         "apiUrl": { "type": "string", "required": true, "pattern": "^https://" },
+//         "retryAttempts": { "type": "integer", "default": 3 },
+//         "mode": { "type": "string", "enum": ["live", "sandbox"] }
+//       }
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+// Secret references (${env:NAME}) are only resolved at import time
+const REFERENCE_PATTERN = /\$\{[a-zA-Z][\w-]*:[^}]+\}/;
+
+// Set by the system during deployment, never part of a schema
+const SYSTEM_VARIABLES = ['version'];
+
+class VariableSchema {
+    // Checks the schema itself, so a typo in it is not mistaken for invalid variables
+    validateSchema(schema) {
+        const errors = [];
+
+        for (const [key, rule] of Object.entries(schema || {})) {
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${key}: the schema entry must be an object`);
+                continue;
+            }
+            if (rule.type && !TYPES.includes(rule.type)) {
+                errors.push(`${key}: unknown type "${rule.type}" (allowed: ${TYPES.join(', ')})`);
+            }
+            if (rule.enum && !Array.isArray(rule.enum)) {
+                errors.push(`${key}: enum must be an array`);
+            }
+            if (rule.pattern) {
+                try {
+                    new RegExp(rule.pattern);
+                } catch (error) {
+                    errors.push(`${key}: invalid pattern: ${error.message}`);
+                }
+            }
+            if (rule.default !== undefined && this.checkValue(key, rule.default, { ...rule, required: false }).length > 0) {
+                errors.push(`${key}: the default does not match the schema`);
+            }
+        }
+
+        return errors;
+    }
+
+    // Returns the variables with defaults applied, the errors, and the keys the schema does not know.
+    // With allowReferences, strings holding a secret reference pass pattern and enum checks (they are not resolved yet).
+    validate(variables, schema, { allowReferences = false } = {}) {
+        const values = { ...variables };
+        const errors = [];
+
+        for (const [key, rule] of Object.entries(schema || {})) {
+            if (values[key] === undefined && rule.default !== undefined) {
+                values[key] = rule.default;
+            }
+            errors.push(...this.checkValue(key, values[key], rule, allowReferences));
+        }
+
+        const unknownKeys = Object.keys(values)
+            .filter(key => !(key in (schema || {})) && !SYSTEM_VARIABLES.includes(key));
+
+        return { values, errors, unknownKeys };
+    }
+
+    checkValue(key, value, rule, allowReferences = false) {
+        if (value === undefined || value === null) {
+            return rule.required ? [`${key}: required but missing`] : [];
+        }
+
+        // A reference resolves to a string, which coerce() turns into the schema type at import
+        if (allowReferences && typeof value === 'string' && REFERENCE_PATTERN.test(value)) {
+            return [];
+        }
+
+        if (rule.type && !this.hasType(value, rule.type)) {
+            return [`${key}: expected ${rule.type}, got ${Array.isArray(value) ? 'array' : typeof value}`];
+        }
+
+        const errors = [];
+        if (rule.enum && !rule.enum.some(allowed => JSON.stringify(allowed) === JSON.stringify(value))) {
+            errors.push(`${key}: must be one of ${rule.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+        }
+        if (rule.pattern && typeof value === 'string' && !new RegExp(rule.pattern).test(value)) {
+            errors.push(`${key}: does not match ${rule.pattern}`);
+        }
+        return errors;
+    }
+
+    // Resolved secrets are strings: the given keys are converted to their schema type where the string allows it,
+    // anything else is left for validate() to reject
+    coerce(variables, schema, keys) {
+        const values = { ...variables };
+
+        for (const key of keys) {
+            const rule = (schema || {})[key];
+            if (rule && rule.type && typeof values[key] === 'string') {
+                values[key] = this.coerceValue(values[key], rule.type);
+            }
+        }
+
+        return values;
+    }
+
+    coerceValue(value, type) {
+        switch (type) {
+            case 'number':
+            case 'integer':
+                return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+            case 'boolean':
+                return value === 'true' ? true : value === 'false' ? false : value;
+            case 'object':
+            case 'array':
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    return value;
+                }
+            default:
+                return value;
+        }
+    }
+
+    hasType(value, type) {
+        switch (type) {
+            case 'integer':
+                return Number.isInteger(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    // Keys defined for some environments but not for others: { key: [environments missing it] }.
+    // Keys with a schema default are filled in everywhere, so they do not count.
+    findInconsistentKeys(variablesByEnvironment, schema = {}) {
+        const environments = Object.keys(variablesByEnvironment);
+        const allKeys = [...new Set(environments.flatMap(env => Object.keys(variablesByEnvironment[env] || {})))];
+        const inconsistent = {};
+
+        for (const key of allKeys) {
+            if (schema[key] && schema[key].default !== undefined) continue;
+
+            const missingIn = environments.filter(env => !(key in (variablesByEnvironment[env] || {})));
+            if (missingIn.length > 0) {
+                inconsistent[key] = missingIn;
+            }
+        }
+
+        return inconsistent;
+    }
+}
+
+module.exports = VariableSchema;
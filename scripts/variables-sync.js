@@ -0,0 +1,179 @@
+const { NotFoundError, UnauthorizedError } = require('./api-errors.js');
+
+// Syncs the variables of workflows with "variablesTarget": "n8nVariables" into n8n's instance variables,
+// where the workflow reads them as $vars.<key>. Keys are namespaced per workflow, and per environment
+// when several environments share an instance:
+//   dedicated instance: EMAIL_MARKETING_apiUrl
+//   shared instance:    EMAIL_MARKETING_DEV_apiUrl
+class VariablesSync {
+    constructor(manager) {
+        this.manager = manager;
+        // Per environment: the variables on its instance, listed once even when workflows sync at the same time
+        this.variables = {};
+    }
+
+    // Defaults to the base name in upper snake case: email_marketing → EMAIL_MARKETING
+    getNamespace(baseName) {
+        const workflowConfig = this.manager.managedWorkflows.managedWorkflows.find(w => w.baseName === baseName);
+        const namespace = (workflowConfig && workflowConfig.variablesNamespace) || baseName.toUpperCase();
+        return this.sanitize(namespace);
+    }
+
+    getPrefix(baseName, environment) {
+        const namespace = this.getNamespace(baseName);
+        return this.manager.environments.hasDedicatedInstance(environment)
+            ? `${namespace}_`
+            : `${namespace}_${this.sanitize(environment.toUpperCase())}_`;
+    }
+
+    getKey(baseName, environment, key) {
+        return this.getPrefix(baseName, environment) + this.sanitize(key);
+    }
+
+    // n8n only accepts letters, digits and underscores in variable keys
+    sanitize(value) {
+        return value.replace(/[^A-Za-z0-9_]/g, '_');
+    }
+
+    listVariables(environment) {
+        if (!this.variables[environment]) {
+            this.variables[environment] = this.fetchVariables(environment).catch(error => {
+                delete this.variables[environment];
+                throw error;
+            });
+        }
+
+        return this.variables[environment];
+    }
+
+    async fetchVariables(environment) {
+        const variables = [];
+        const limit = this.manager.config.settings.workflowPageSize || 100;
+        let cursor = null;
+
+        do {
+            let response;
+            try {
+                response = await this.manager.getClient(environment).get('/api/v1/variables', {
+                    params: cursor ? { limit, cursor } : { limit }
+                });
+            } catch (error) {
+                if (error instanceof NotFoundError || error instanceof UnauthorizedError) {
+                    throw new Error(`The ${environment} instance does not allow managing variables (${error.message}). Variables need an n8n plan that includes them.`);
+                }
+                throw error;
+            }
+            variables.push(...(response.data.data || []).map(v => ({ id: v.id, key: v.key, value: v.value })));
+            cursor = response.data.nextCursor;
+        } while (cursor);
+
+        return variables;
+    }
+
+    // { key: value } the instance should hold for the given workflows. n8n variables are strings,
+    // so other values are stored as JSON.
+    getDesired(environment, baseNames) {
+        const desired = {};
+
+        for (const baseName of baseNames) {
+            const variables = this.manager.getEnvironmentVariables(baseName, environment) || {};
+            for (const [key, value] of Object.entries(variables)) {
+                desired[this.getKey(baseName, environment, key)] = typeof value === 'string' ? value : JSON.stringify(value);
+            }
+        }
+
+        return desired;
+    }
+
+    // The managed workflow whose namespace a variable is in. Namespaces can nest (EMAIL_ and EMAIL_MARKETING_),
+    // so the longest prefix wins.
+    getOwner(key, environment) {
+        let owner = null;
+        let ownerPrefix = '';
+
+        for (const { baseName } of this.manager.managedWorkflows.managedWorkflows) {
+            const prefix = this.getPrefix(baseName, environment);
+            if (key.startsWith(prefix) && prefix.length > ownerPrefix.length) {
+                owner = baseName;
+                ownerPrefix = prefix;
+            }
+        }
+
+        return owner;
+    }
+
+    // Variables under a workflow's namespace that are no longer configured are orphaned;
+    // they are only removed when asked for (--prune), as a running workflow may still read them.
+    async diff(environment, baseNames) {
+        const existing = await this.listVariables(environment);
+        const desired = this.getDesired(environment, baseNames);
+        const result = { toCreate: [], toUpdate: [], unchanged: [], orphaned: [] };
+
+        for (const [key, value] of Object.entries(desired)) {
+            const current = existing.find(v => v.key === key);
+            if (!current) {
+                result.toCreate.push({ key, value });
+            } else if (current.value !== value) {
+                result.toUpdate.push({ id: current.id, key, from: current.value, value });
+            } else {
+                result.unchanged.push({ key });
+            }
+        }
+
+        for (const variable of existing) {
+            if (!(variable.key in desired) && baseNames.includes(this.getOwner(variable.key, environment))) {
+                result.orphaned.push({ id: variable.id, key: variable.key });
+            }
+        }
+
+        return result;
+    }
+
+    async sync(environment, baseNames, { prune = false } = {}) {
+        const diff = await this.diff(environment, baseNames);
+        const variables = await this.listVariables(environment);
+        const client = this.manager.getClient(environment);
+
+        for (const variable of diff.toCreate) {
+            const response = await client.post('/api/v1/variables', { key: variable.key, value: variable.value });
+            variables.push({ id: response.data && response.data.id, key: variable.key, value: variable.value });
+            console.log(`  ➕ Created variable ${variable.key}`);
+        }
+
+        for (const variable of diff.toUpdate) {
+            await client.put(`/api/v1/variables/${variable.id}`, { key: variable.key, value: variable.value });
+            variables.find(v => v.id === variable.id).value = variable.value;
+            console.log(`  ✏️  Updated variable ${variable.key}`);
+        }
+
+        if (prune) {
+            for (const variable of diff.orphaned) {
+                await client.delete(`/api/v1/variables/${variable.id}`);
+                variables.splice(variables.findIndex(v => v.id === variable.id), 1);
+                console.log(`  🗑️  Deleted variable ${variable.key}`);
+            }
+        }
+
+        return { ...diff, pruned: prune ? diff.orphaned : [] };
+    }
+
+    printDiff(environment, diff) {
+        const mask = value => this.manager.secretResolver.mask(value);
+
+        console.log(`🔧 n8n variables (${environment}):`);
+        for (const variable of diff.toCreate) {
+            console.log(`  ➕ ${variable.key} = ${mask(variable.value)}`);
+        }
+        for (const variable of diff.toUpdate) {
+            // The previous value of a secret is masked even when it is not a known secret (e.g. a rotated one)
+            const from = mask(variable.value) !== variable.value ? '***' : mask(variable.from);
+            console.log(`  ✏️  ${variable.key}: ${from} → ${mask(variable.value)}`);
+        }
+        for (const variable of diff.orphaned) {
+            console.log(`  ⚠️  ${variable.key} is no longer configured (remove with --prune)`);
+        }
+        console.log(`  ${diff.toCreate.length} to create, ${diff.toUpdate.length} to update, ${diff.unchanged.length} unchanged, ${diff.orphaned.length} orphaned`);
+    }
+}
+
+module.exports = VariablesSync;
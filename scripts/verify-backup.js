@@ -1,30 +1,41 @@
 #!/usr/bin/env node
 
+require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const BackupStore = require('./backup-store.js');
 
 class BackupVerifier {
     constructor() {
         this.errors = [];
         this.warnings = [];
+        this.integrity = null;
+        this.backupStore = new BackupStore();
     }
 
     verifyBackup(backupName) {
         console.log(`🔍 Verifying backup: ${backupName}`);
 
-        const backupPath = path.join('backups', backupName);
+        const backupPath = this.backupStore.getBackupPath(backupName);
 
-        if (!fs.existsSync(backupPath)) {
+        if (!this.backupStore.exists(backupName)) {
             this.errors.push(`Backup directory not found: ${backupPath}`);
             return false;
         }
 
+        if (this.backupStore.isArchive(backupName)) {
+            console.log(`🗜️  Archive: ${path.basename(this.backupStore.getArchivePath(backupName))}`);
+        }
+
         // Check metadata file
         this.verifyMetadata(backupPath, backupName);
 
         // Check workflow files
         this.verifyWorkflowFiles(backupPath, backupName);
 
+        // Check the files against the checksums in the metadata
+        this.verifyChecksums(backupName);
+
         // Check backup integrity
         this.verifyBackupIntegrity(backupPath, backupName);
 
@@ -34,15 +45,20 @@ class BackupVerifier {
     }
 
     verifyMetadata(backupPath, backupName) {
-        const metadataPath = path.join(backupPath, '_backup_metadata.json');
+        let metadata;
+        try {
+            metadata = this.backupStore.readMetadata(backupName);
+        } catch (error) {
+            this.errors.push(`Cannot read metadata: ${error.message}`);
+            return;
+        }
 
-        if (!fs.existsSync(metadataPath)) {
+        if (!metadata) {
             this.errors.push('Backup metadata file missing');
             return;
         }
 
         try {
-            const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
 
             // Verify required metadata fields
             const required = ['backupName', 'environment', 'createdAt', 'workflowCount'];
@@ -58,6 +74,9 @@ class BackupVerifier {
             }
 
             console.log(`📊 Metadata: ${metadata.workflowCount} workflows, created ${metadata.createdAt}`);
+            if (metadata.sourceUrl) {
+                console.log(`🌐 Source: ${metadata.sourceUrl} (tool version ${metadata.toolVersion || 'unknown'})`);
+            }
 
         } catch (error) {
             this.errors.push(`Invalid metadata JSON: ${error.message}`);
@@ -65,8 +84,7 @@ class BackupVerifier {
     }
 
     verifyWorkflowFiles(backupPath, backupName) {
-        const files = fs.readdirSync(backupPath)
-            .filter(f => f.endsWith('.json') && !f.startsWith('_'));
+        const files = this.listWorkflowFiles(backupName);
 
         if (files.length === 0) {
             this.errors.push('No workflow files found in backup');
@@ -76,14 +94,22 @@ class BackupVerifier {
         console.log(`📁 Found ${files.length} workflow files`);
 
         for (const file of files) {
-            this.verifyWorkflowFile(path.join(backupPath, file), file);
+            this.verifyWorkflowFile(backupName, file);
         }
     }
 
-    verifyWorkflowFile(filePath, fileName) {
+    // Empty when the manifest cannot be read, which verifyMetadata reports
+    listWorkflowFiles(backupName) {
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const workflow = JSON.parse(content);
+            return this.backupStore.listWorkflowFiles(backupName);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    verifyWorkflowFile(backupName, fileName) {
+        try {
+            const workflow = this.backupStore.readWorkflow(backupName, fileName);
 
             // Check required workflow fields
             const required = ['name', 'nodes', 'connections'];
@@ -119,13 +145,49 @@ class BackupVerifier {
             }
 
         } catch (error) {
-            this.errors.push(`${fileName}: Invalid JSON - ${error.message}`);
+            this.errors.push(`${fileName}: Invalid workflow file - ${error.message}`);
+        }
+    }
+
+    // Detects files that were corrupted, edited, removed or added after the backup was created
+    verifyChecksums(backupName) {
+        let integrity;
+        try {
+            integrity = this.backupStore.checkIntegrity(backupName);
+        } catch (error) {
+            // Invalid metadata, already reported by verifyMetadata
+            return;
+        }
+
+        if (!integrity) {
+            this.warnings.push('No checksums in the metadata (created before checksums were recorded) - contents cannot be verified');
+            return;
+        }
+
+        this.integrity = integrity;
+
+        for (const file of integrity.missing) {
+            this.errors.push(`${file}: Missing - listed in the metadata but not found`);
+        }
+        for (const file of integrity.modified) {
+            this.errors.push(`${file}: Modified - the SHA-256 checksum does not match the metadata`);
+        }
+        for (const file of integrity.extra) {
+            this.errors.push(`${file}: Extra - not listed in the metadata`);
         }
+
+        const metadata = this.backupStore.readMetadata(backupName);
+        const unchanged = integrity.missing.length === 0 && integrity.modified.length === 0;
+        if (unchanged && metadata.totalSize !== undefined && metadata.totalSize !== integrity.totalSize) {
+            this.errors.push(`Total size ${integrity.totalSize} bytes does not match the metadata (${metadata.totalSize} bytes)`);
+        }
+
+        console.log(`🔐 Checksums: ${integrity.checked - integrity.modified.length} of ${integrity.checked + integrity.missing.length} files match`);
     }
 
     verifyBackupIntegrity(backupPath, backupName) {
         // Check if backup was created recently (within reasonable time)
-        const stats = fs.statSync(backupPath);
+        const stats = fs.statSync(this.backupStore.getLocation(backupName));
         const ageInHours = (Date.now() - stats.mtime.getTime()) / (1000 * 60 * 60);
 
         if (ageInHours > 24 * 7) { // Older than 1 week
@@ -146,7 +208,22 @@ class BackupVerifier {
             return totalSize;
         };
 
-        const backupSize = calculateSize(backupPath);
+        // A manifest's workflows live in the backup store
+        const calculateStoredSize = () => {
+            let totalSize = 0;
+            for (const file of this.listWorkflowFiles(backupName)) {
+                const hash = this.backupStore.getHash(backupName, file);
+                if (hash && this.backupStore.hasObject(hash)) {
+                    totalSize += fs.statSync(this.backupStore.getObjectPath(hash)).size;
+                }
+            }
+            return totalSize;
+        };
+
+        // An archive holds everything itself
+        const backupSize = this.backupStore.isArchive(backupName)
+            ? stats.size
+            : calculateSize(backupPath) + calculateStoredSize();
         if (backupSize < 1000) { // Less than 1KB seems too small
             this.warnings.push(`Backup size seems unusually small: ${backupSize} bytes`);
         }
@@ -154,13 +231,12 @@ class BackupVerifier {
         console.log(`📏 Backup size: ${(backupSize / 1024).toFixed(2)} KB`);
 
         // Check for duplicate workflow names
-        const files = fs.readdirSync(backupPath)
-            .filter(f => f.endsWith('.json') && !f.startsWith('_'));
+        const files = this.listWorkflowFiles(backupName);
 
         const workflowNames = [];
         for (const file of files) {
             try {
-                const workflow = JSON.parse(fs.readFileSync(path.join(backupPath, file), 'utf8'));
+                const workflow = this.backupStore.readWorkflow(backupName, file);
                 if (workflow.name) {
                     if (workflowNames.includes(workflow.name)) {
                         this.errors.push(`Duplicate workflow name found: ${workflow.name}`);
@@ -173,16 +249,13 @@ class BackupVerifier {
         }
 
         // Cross-reference metadata with actual files
-        const metadataPath = path.join(backupPath, '_backup_metadata.json');
-        if (fs.existsSync(metadataPath)) {
-            try {
-                const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
-                if (metadata.workflowCount !== files.length) {
-                    this.warnings.push(`Metadata workflow count (${metadata.workflowCount}) doesn't match actual files (${files.length})`);
-                }
-            } catch (error) {
-                // Already handled in verifyMetadata
+        try {
+            const metadata = this.backupStore.readMetadata(backupName);
+            if (metadata && metadata.workflowCount !== files.length) {
+                this.warnings.push(`Metadata workflow count (${metadata.workflowCount}) doesn't match actual files (${files.length})`);
             }
+        } catch (error) {
+            // Already handled in verifyMetadata
         }
     }
 
@@ -213,18 +286,12 @@ class BackupVerifier {
     }
 
     verifyAllBackups() {
-        const backupsDir = path.join('backups');
-
-        if (!fs.existsSync(backupsDir)) {
+        if (!fs.existsSync(this.backupStore.backupsDir)) {
             console.log('📁 No backups directory found');
             return;
         }
 
-        const backupDirs = fs.readdirSync(backupsDir)
-            .filter(item => {
-                const itemPath = path.join(backupsDir, item);
-                return fs.statSync(itemPath).isDirectory();
-            });
+        const backupDirs = this.backupStore.list();
 
         if (backupDirs.length === 0) {
             console.log('📁 No backups found');
@@ -240,6 +307,7 @@ class BackupVerifier {
             // Reset errors/warnings for each backup
             this.errors = [];
             this.warnings = [];
+            this.integrity = null;
 
             const passed = this.verifyBackup(backupDir);
             if (passed) {
@@ -271,6 +339,7 @@ class BackupVerifier {
                 backupName: backupName,
                 errors: this.errors,
                 warnings: this.warnings,
+                integrity: this.integrity,
                 passed: this.errors.length === 0
             };
 
@@ -329,12 +398,8 @@ if (require.main === module) {
         console.log('');
         console.log('Available backups:');
 
-        const backupsDir = path.join('backups');
-        if (fs.existsSync(backupsDir)) {
-            const backups = fs.readdirSync(backupsDir)
-                .filter(item => fs.statSync(path.join(backupsDir, item)).isDirectory())
-                .sort()
-                .reverse(); // Show newest first
+        if (fs.existsSync(verifier.backupStore.backupsDir)) {
+            const backups = verifier.backupStore.list(); // Newest first
 
             if (backups.length > 0) {
                 backups.slice(0, 10).forEach(backup => console.log(`  - ${backup}`));
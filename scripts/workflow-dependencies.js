@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const WorkflowReferences = require('./workflow-references.js');
+const WorkflowFiles = require('./workflow-files.js');
+
+// Which workflow files call which, based on Execute Workflow / workflow tool nodes.
+// Everything is keyed by base name, so the graph is the same for every environment.
+class WorkflowDependencies {
+    constructor(manager) {
+        this.manager = manager;
+        this.references = new WorkflowReferences();
+        this.workflowFiles = new WorkflowFiles();
+        // Per environment: the live workflows, for references that only store an id
+        this.liveWorkflows = {};
+    }
+
+    // { baseName: [base names it calls] } for every file in workflows/
+    async buildGraph(workflowsDir = 'workflows') {
+        const graph = {};
+
+        if (!fs.existsSync(workflowsDir)) {
+            return graph;
+        }
+
+        const files = this.workflowFiles.list(workflowsDir);
+
+        for (const file of files) {
+            let workflowData;
+            try {
+                workflowData = this.workflowFiles.parse(path.join(workflowsDir, file));
+            } catch (error) {
+                console.warn(`⚠️ Skipping ${file} in the dependency graph: ${error.message}`);
+                continue;
+            }
+
+            const baseName = this.manager.getBaseNameFromWorkflowName(workflowData.name);
+            const sourceEnv = this.manager.getEnvironmentFromWorkflowName(workflowData.name);
+            graph[baseName] = [];
+
+            for (const reference of this.references.find(workflowData)) {
+                const calleeName = reference.cachedName || await this.lookupWorkflowName(reference.workflowId, sourceEnv);
+                if (!calleeName) {
+                    console.warn(`⚠️ ${baseName}: cannot resolve workflow ${reference.workflowId} called by "${reference.node}"`);
+                    continue;
+                }
+
+                // A workflow calling itself does not affect the order
+                const calleeBaseName = this.manager.getBaseNameFromWorkflowName(calleeName);
+                if (calleeBaseName !== baseName && !graph[baseName].includes(calleeBaseName)) {
+                    graph[baseName].push(calleeBaseName);
+                }
+            }
+        }
+
+        return graph;
+    }
+
+    // Exported files do not keep workflow ids, so a plain id is looked up where the file was exported from
+    async lookupWorkflowName(workflowId, environment) {
+        if (!this.liveWorkflows[environment]) {
+            try {
+                this.liveWorkflows[environment] = await this.manager.getAllWorkflows(environment);
+            } catch (error) {
+                this.liveWorkflows[environment] = [];
+            }
+        }
+
+        const workflow = this.liveWorkflows[environment].find(w => w.id === workflowId);
+        return workflow ? workflow.name : null;
+    }
+
+    // Orders the given base names so every workflow comes after the workflows it calls.
+    // Names keep their given order where they do not depend on each other.
+    // Cycles cannot be ordered; they are returned as paths (["A", "B", "A"]) and the cycle is broken where it was found.
+    order(baseNames, graph) {
+        const ordered = [];
+        const cycles = [];
+        const state = {};
+        const stack = [];
+
+        const visit = (name) => {
+            if (state[name] === 'done') return;
+            if (state[name] === 'visiting') {
+                cycles.push([...stack.slice(stack.indexOf(name)), name]);
+                return;
+            }
+
+            state[name] = 'visiting';
+            stack.push(name);
+            for (const callee of graph[name] || []) {
+                if (baseNames.includes(callee)) {
+                    visit(callee);
+                }
+            }
+            stack.pop();
+            state[name] = 'done';
+            ordered.push(name);
+        };
+
+        baseNames.forEach(visit);
+        return { order: ordered, cycles };
+    }
+
+    // Everything the workflow calls, directly or through other workflows, callees first
+    getDependencies(baseName, graph) {
+        const dependencies = [];
+        const visit = (name) => {
+            for (const callee of graph[name] || []) {
+                if (callee !== baseName && !dependencies.includes(callee)) {
+                    dependencies.push(callee);
+                    visit(callee);
+                }
+            }
+        };
+
+        visit(baseName);
+        return this.order(dependencies, graph).order;
+    }
+
+    // Workflows calling this one, directly or indirectly
+    getDependents(baseName, graph) {
+        const dependents = [];
+        const visit = (name) => {
+            for (const [caller, callees] of Object.entries(graph)) {
+                if (callees.includes(name) && caller !== baseName && !dependents.includes(caller)) {
+                    dependents.push(caller);
+                    visit(caller);
+                }
+            }
+        };
+
+        visit(baseName);
+        return dependents;
+    }
+}
+
+module.exports = WorkflowDependencies;
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+const WorkflowFiles = require('./workflow-files.js');
+
+// Node fields that n8n manages itself and that say nothing about what a workflow does
+const DEFAULT_IGNORED_NODE_FIELDS = ['id', 'name', 'position', 'webhookId'];
+
+// Longer code is reported as changed without a line diff (the LCS table grows with lines²)
+const MAX_LINE_DIFF_LINES = 2000;
+
+class WorkflowDiff {
+    constructor(options = {}) {
+        this.ignoredNodeFields = options.ignoredNodeFields || DEFAULT_IGNORED_NODE_FIELDS;
+    }
+
+    compare(before, after) {
+        const beforeNodes = (before && before.nodes) || [];
+        const afterNodes = (after && after.nodes) || [];
+        const { pairs, added, removed } = this.matchNodes(beforeNodes, afterNodes);
+
+        const diff = {
+            nodes: {
+                added: added.map(node => ({ id: node.id, name: node.name, type: node.type })),
+                removed: removed.map(node => ({ id: node.id, name: node.name, type: node.type })),
+                renamed: [],
+                changed: [],
+                moved: []
+            },
+            connections: { added: [], removed: [] },
+            settings: []
+        };
+
+        // Old name → new name, so a rename alone does not show up as rewired connections
+        const renames = {};
+
+        for (const [oldNode, newNode] of pairs) {
+            if (oldNode.name !== newNode.name) {
+                renames[oldNode.name] = newNode.name;
+                diff.nodes.renamed.push({ id: newNode.id, from: oldNode.name, to: newNode.name });
+            }
+
+            const changes = this.compareNodes(oldNode, newNode);
+            if (changes.length > 0) {
+                diff.nodes.changed.push({ name: newNode.name, type: newNode.type, changes });
+            }
+
+            if (!this.isEqual(oldNode.position, newNode.position)) {
+                diff.nodes.moved.push({ name: newNode.name, from: oldNode.position, to: newNode.position });
+            }
+        }
+
+        const beforeEdges = this.getEdges(before && before.connections, renames);
+        const afterEdges = this.getEdges(after && after.connections, renames);
+        diff.connections.added = afterEdges.filter(edge => !beforeEdges.includes(edge));
+        diff.connections.removed = beforeEdges.filter(edge => !afterEdges.includes(edge));
+
+        diff.settings = this.diffValues((before && before.settings) || {}, (after && after.settings) || {}, 'settings');
+
+        const changes = this.describe(diff);
+        diff.hasChanges = changes.length > 0;
+        // Moving nodes around the canvas is the only change that does not affect execution
+        diff.hasFunctionalChanges = changes.some(change => !change.cosmetic);
+
+        return diff;
+    }
+
+    // Nodes are paired by id first (catches renames), then by name for nodes whose id changed
+    matchNodes(beforeNodes, afterNodes) {
+        const pairs = [];
+        const unmatchedBefore = [...beforeNodes];
+        const unmatchedAfter = [];
+
+        for (const node of afterNodes) {
+            const index = node.id ? unmatchedBefore.findIndex(n => n.id === node.id) : -1;
+            if (index !== -1) {
+                pairs.push([unmatchedBefore.splice(index, 1)[0], node]);
+            } else {
+                unmatchedAfter.push(node);
+            }
+        }
+
+        const added = [];
+        for (const node of unmatchedAfter) {
+            const index = unmatchedBefore.findIndex(n => n.name === node.name);
+            if (index !== -1) {
+                pairs.push([unmatchedBefore.splice(index, 1)[0], node]);
+            } else {
+                added.push(node);
+            }
+        }
+
+        return { pairs, added, removed: unmatchedBefore };
+    }
+
+    compareNodes(oldNode, newNode) {
+        const changes = [];
+        const fields = [...new Set([...Object.keys(oldNode), ...Object.keys(newNode)])]
+            .filter(field => !this.ignoredNodeFields.includes(field));
+
+        for (const field of fields) {
+            if (field === 'credentials') {
+                changes.push(...this.compareCredentials(oldNode.credentials || {}, newNode.credentials || {}));
+            } else {
+                changes.push(...this.diffValues(oldNode[field], newNode[field], field));
+            }
+        }
+
+        return changes;
+    }
+
+    // Credentials are compared by id; the name is what gets reported
+    compareCredentials(oldCredentials, newCredentials) {
+        const changes = [];
+        const types = [...new Set([...Object.keys(oldCredentials), ...Object.keys(newCredentials)])];
+
+        for (const type of types) {
+            const oldCred = oldCredentials[type];
+            const newCred = newCredentials[type];
+            const oldKey = oldCred ? oldCred.id || oldCred.name : null;
+            const newKey = newCred ? newCred.id || newCred.name : null;
+
+            if (oldKey !== newKey) {
+                changes.push({
+                    kind: 'credential',
+                    path: `credentials.${type}`,
+                    from: oldCred ? oldCred.name || oldCred.id : null,
+                    to: newCred ? newCred.name || newCred.id : null
+                });
+            }
+        }
+
+        return changes;
+    }
+
+    // Recursive value comparison returning one entry per changed leaf: { path, from, to }.
+    // Multi-line strings (jsCode, pythonCode, ...) get a line diff instead of from/to.
+    diffValues(before, after, pathPrefix) {
+        if (this.isEqual(before, after)) {
+            return [];
+        }
+
+        if (this.isContainer(before) && this.isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+            const keys = Array.isArray(before)
+                ? [...Array(Math.max(before.length, after.length)).keys()]
+                : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+            return keys.flatMap(key => this.diffValues(
+                before[key],
+                after[key],
+                Array.isArray(before) ? `${pathPrefix}[${key}]` : `${pathPrefix}.${key}`
+            ));
+        }
+
+        if (typeof before === 'string' && typeof after === 'string' && (before.includes('\n') || after.includes('\n'))) {
+            return [{ kind: 'value', path: pathPrefix, lines: this.diffLines(before, after) }];
+        }
+
+        return [{ kind: 'value', path: pathPrefix, from: before, to: after }];
+    }
+
+    // LCS line diff; only changed lines are returned, prefixed with "-" / "+"
+    diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+
+        if (a.length > MAX_LINE_DIFF_LINES || b.length > MAX_LINE_DIFF_LINES) {
+            return [`~ ${a.length} → ${b.length} lines (too long to diff)`];
+        }
+
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                lines.push(`- ${a[i++]}`);
+            } else {
+                lines.push(`+ ${b[j++]}`);
+            }
+        }
+        while (i < a.length) lines.push(`- ${a[i++]}`);
+        while (j < b.length) lines.push(`+ ${b[j++]}`);
+
+        return lines;
+    }
+
+    // Flattens n8n connections into "Source [main:0] → Target [main:0]" edges
+    getEdges(connections, renames = {}) {
+        const edges = [];
+        const rename = name => renames[name] || name;
+
+        for (const [source, outputs] of Object.entries(connections || {})) {
+            for (const [outputType, outputIndexes] of Object.entries(outputs || {})) {
+                (outputIndexes || []).forEach((targets, outputIndex) => {
+                    for (const target of targets || []) {
+                        edges.push(`${rename(source)} [${outputType}:${outputIndex}] → ${rename(target.node)} [${target.type}:${target.index}]`);
+                    }
+                });
+            }
+        }
+
+        return edges.sort();
+    }
+
+    // Flat, human-readable list of changes shared by the changelog, backup comparison and deploy plans
+    describe(diff) {
+        const changes = [];
+
+        diff.nodes.added.forEach(node => changes.push({
+            type: 'node_added',
+            description: `Node added: ${node.name} (${node.type})`
+        }));
+        diff.nodes.removed.forEach(node => changes.push({
+            type: 'node_removed',
+            description: `Node removed: ${node.name} (${node.type})`
+        }));
+        diff.nodes.renamed.forEach(rename => changes.push({
+            type: 'node_renamed',
+            description: `Node renamed`,
+            from: rename.from,
+            to: rename.to
+        }));
+
+        for (const node of diff.nodes.changed) {
+            for (const change of node.changes) {
+                const entry = {
+                    type: change.kind === 'credential' ? 'node_credentials_changed' : 'node_parameter_changed',
+                    node: node.name,
+                    description: `${node.name}: ${change.path} changed`
+                };
+                if (change.lines) {
+                    entry.lines = change.lines;
+                } else {
+                    entry.from = change.from;
+                    entry.to = change.to;
+                }
+                changes.push(entry);
+            }
+        }
+
+        diff.nodes.moved.forEach(move => changes.push({
+            type: 'node_moved',
+            node: move.name,
+            description: `${move.name}: moved on the canvas (cosmetic)`,
+            cosmetic: true,
+            from: move.from,
+            to: move.to
+        }));
+
+        if (diff.connections.added.length > 0) {
+            changes.push({ type: 'connections_added', description: 'Connections added', details: diff.connections.added });
+        }
+        if (diff.connections.removed.length > 0) {
+            changes.push({ type: 'connections_removed', description: 'Connections removed', details: diff.connections.removed });
+        }
+
+        diff.settings.forEach(change => changes.push({
+            type: 'settings_changed',
+            description: `${change.path} changed`,
+            from: change.from,
+            to: change.to
+        }));
+
+        return changes;
+    }
+
+    // Console-friendly lines for a diff, indented under a workflow heading
+    format(diff, indent = '   ') {
+        const lines = [];
+
+        for (const change of this.describe(diff)) {
+            lines.push(`${indent}${change.description}`);
+            if (change.lines) {
+                change.lines.forEach(line => lines.push(`${indent}   ${line}`));
+            } else if (change.details) {
+                change.details.forEach(detail => lines.push(`${indent}   ${detail}`));
+            } else if (change.from !== undefined || change.to !== undefined) {
+                lines.push(`${indent}   ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+            }
+        }
+
+        return lines;
+    }
+
+    isContainer(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    isEqual(a, b) {
+        return this.canonicalize(a) === this.canonicalize(b);
+    }
+
+    // JSON with sorted object keys, so key order never counts as a change
+    canonicalize(value) {
+        return JSON.stringify(value, (key, item) => {
+            if (item && typeof item === 'object' && !Array.isArray(item)) {
+                return Object.keys(item).sort().reduce((sorted, k) => {
+                    sorted[k] = item[k];
+                    return sorted;
+                }, {});
+            }
+            return item;
+        });
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const [,, beforeFile, afterFile, ...args] = process.argv;
+
+    if (!beforeFile || !afterFile) {
+        console.log('Usage: node workflow-diff.js <before.json|yaml> <after.json|yaml> [--json]');
+        process.exit(1);
+    }
+
+    // Either file may be JSON or YAML, with or without code files
+    const workflowFiles = new WorkflowFiles();
+    const workflowDiff = new WorkflowDiff();
+    const diff = workflowDiff.compare(workflowFiles.read(beforeFile), workflowFiles.read(afterFile));
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(diff, null, 2));
+    } else if (!diff.hasChanges) {
+        console.log('✅ No differences');
+    } else {
+        console.log(`🔍 ${beforeFile} → ${afterFile}`);
+        workflowDiff.format(diff).forEach(line => console.log(line));
+    }
+
+    process.exit(diff.hasChanges ? 1 : 0);
+}
+
+module.exports = WorkflowDiff;
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// File extension written per format; .yml is read as well
+const FORMATS = { json: '.json', yaml: '.yaml' };
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Code parameters that can live in a file of their own, with the file extension
+const CODE_PARAMETERS = { jsCode: 'js', pythonCode: 'py' };
+
+// Left in the workflow JSON instead of the code, relative to the JSON file:
+// "jsCode": "@code:email_marketing/code/Process_Data.js"
+const PLACEHOLDER_PREFIX = '@code:';
+
+// Reads and writes workflow files, as JSON or YAML. With splitCode, the source of Code nodes is written to
+// workflows/<name>/code/<node>.js, where it can be reviewed and linted, and inlined again when the file is read.
+// Callers name files with .json (generateFileName); a workflow stored as .yaml is found all the same.
+class WorkflowFiles {
+    isWorkflowFile(file) {
+        return EXTENSIONS.includes(path.extname(file)) && !path.basename(file).startsWith('_');
+    }
+
+    list(dir) {
+        return fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => this.isWorkflowFile(file)) : [];
+    }
+
+    getFormat(filePath) {
+        return path.extname(filePath) === '.json' ? 'json' : 'yaml';
+    }
+
+    // The same workflow file in another format: email_marketing.json → email_marketing.yaml
+    withFormat(filePath, format) {
+        if (!FORMATS[format]) {
+            throw new Error(`Unknown workflow file format "${format}" (allowed: ${Object.keys(FORMATS).join(', ')})`);
+        }
+        return this.getStem(filePath) + FORMATS[format];
+    }
+
+    // Whether two file names are the same workflow, whatever their format
+    isSameWorkflow(fileA, fileB) {
+        return this.getStem(fileA) === this.getStem(fileB);
+    }
+
+    // workflows/email_marketing.json → workflows/email_marketing
+    getStem(filePath) {
+        return path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)));
+    }
+
+    // The file as it exists on disk, in whichever format
+    resolve(filePath) {
+        if (fs.existsSync(filePath)) {
+            return filePath;
+        }
+        const existing = EXTENSIONS.map(extension => this.getStem(filePath) + extension).find(candidate => fs.existsSync(candidate));
+        return existing || filePath;
+    }
+
+    exists(filePath) {
+        return fs.existsSync(this.resolve(filePath));
+    }
+
+    // The file as stored: code placeholders are left in place
+    parse(filePath) {
+        const resolved = this.resolve(filePath);
+        return this.deserialize(fs.readFileSync(resolved, 'utf8'), this.getFormat(resolved));
+    }
+
+    read(filePath) {
+        const resolved = this.resolve(filePath);
+        return this.inline(this.parse(resolved), path.dirname(resolved));
+    }
+
+    // YAML keeps code and multi-line expressions readable as block strings, and never folds long lines
+    serialize(workflowData, format) {
+        return format === 'json'
+            ? JSON.stringify(workflowData, null, 2)
+            : yaml.dump(workflowData, { lineWidth: -1, noRefs: true, skipInvalid: true });
+    }
+
+    deserialize(content, format) {
+        return format === 'json' ? JSON.parse(content) : yaml.load(content);
+    }
+
+    inline(workflowData, baseDir) {
+        if (!Array.isArray(workflowData.nodes)) {
+            return workflowData;
+        }
+
+        return {
+            ...workflowData,
+            nodes: workflowData.nodes.map(node => {
+                const parameters = { ...node.parameters };
+                let inlined = false;
+
+                for (const parameter of Object.keys(CODE_PARAMETERS)) {
+                    const value = parameters[parameter];
+                    if (typeof value !== 'string' || !value.startsWith(PLACEHOLDER_PREFIX)) continue;
+
+                    const codePath = path.join(baseDir, ...value.slice(PLACEHOLDER_PREFIX.length).split('/'));
+                    if (!fs.existsSync(codePath)) {
+                        throw new Error(`Code file ${codePath} of node "${node.name}" not found`);
+                    }
+                    // Editors add a final newline, so one was added on export and is dropped here
+                    parameters[parameter] = fs.readFileSync(codePath, 'utf8').replace(/\n$/, '');
+                    inlined = true;
+                }
+
+                return inlined ? { ...node, parameters } : node;
+            })
+        };
+    }
+
+    // Writes the workflow in the given format (by default the one the file name says), replacing the file
+    // in the other format, and with splitCode its code files. Returns whether anything on disk changed.
+    write(filePath, workflowData, { splitCode = false, format = this.getFormat(filePath) } = {}) {
+        const targetPath = this.withFormat(filePath, format);
+        const codeDir = this.getCodeDir(filePath);
+        const { workflowData: data, files } = splitCode
+            ? this.extractCode(workflowData, filePath)
+            : { workflowData, files: {} };
+
+        let changed = this.writeIfChanged(targetPath, this.serialize(data, format));
+
+        for (const other of EXTENSIONS.map(extension => this.getStem(filePath) + extension)) {
+            if (other !== targetPath && fs.existsSync(other)) {
+                fs.unlinkSync(other);
+                changed = true;
+            }
+        }
+
+        for (const [relativePath, code] of Object.entries(files)) {
+            const codePath = path.join(path.dirname(targetPath), ...relativePath.split('/'));
+            fs.mkdirSync(path.dirname(codePath), { recursive: true });
+            changed = this.writeIfChanged(codePath, `${code}\n`) || changed;
+        }
+
+        // Code of deleted or renamed nodes, or of a workflow exported inline again
+        if (fs.existsSync(codeDir)) {
+            const written = Object.keys(files).map(relativePath => path.basename(relativePath));
+            for (const file of fs.readdirSync(codeDir).filter(file => !written.includes(file))) {
+                fs.unlinkSync(path.join(codeDir, file));
+                changed = true;
+            }
+            for (const dir of [codeDir, path.dirname(codeDir)]) {
+                if (fs.readdirSync(dir).length === 0) {
+                    fs.rmdirSync(dir);
+                }
+            }
+        }
+
+        return changed;
+    }
+
+    writeIfChanged(filePath, content) {
+        if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+            return false;
+        }
+        fs.writeFileSync(filePath, content);
+        return true;
+    }
+
+    // workflows/email_marketing.json → workflows/email_marketing/code
+    getCodeDir(filePath) {
+        return path.join(this.getStem(filePath), 'code');
+    }
+
+    extractCode(workflowData, filePath) {
+        const name = path.basename(this.getStem(filePath));
+        const files = {};
+
+        const nodes = (workflowData.nodes || []).map(node => {
+            const parameters = { ...node.parameters };
+            let extracted = false;
+
+            for (const [parameter, extension] of Object.entries(CODE_PARAMETERS)) {
+                const code = parameters[parameter];
+                if (typeof code !== 'string' || code === '') continue;
+
+                const relativePath = this.getCodeFilePath(name, node.name, extension, files);
+                files[relativePath] = code;
+                parameters[parameter] = PLACEHOLDER_PREFIX + relativePath;
+                extracted = true;
+            }
+
+            return extracted ? { ...node, parameters } : node;
+        });
+
+        return { workflowData: { ...workflowData, nodes }, files };
+    }
+
+    // Node names become file names; names that end up the same get a number
+    getCodeFilePath(name, nodeName, extension, files) {
+        const fileName = String(nodeName).replace(/[^a-zA-Z0-9_-]+/g, '_');
+        let relativePath = `${name}/code/${fileName}.${extension}`;
+
+        for (let index = 2; relativePath in files; index++) {
+            relativePath = `${name}/code/${fileName}_${index}.${extension}`;
+        }
+
+        return relativePath;
+    }
+}
+
+module.exports = WorkflowFiles;
@@ -0,0 +1,153 @@
+const WorkflowDiff = require('./workflow-diff.js');
+
+// Fields that change without anyone editing the workflow and only churn the git history.
+// Paths are dot-separated; "*" matches one key or array index, "**" any number of them.
+const DEFAULT_DROP = [
+    'id',
+    'createdAt',
+    'updatedAt',
+    'versionId',
+    'triggerCount',
+    'pinData',
+    'meta',
+    'staticData',
+    'shared',
+    'tags.*.createdAt',
+    'tags.*.updatedAt',
+    'nodes.*.webhookId',
+    '**.cachedResultName',
+    '**.cachedResultUrl'
+];
+
+// Sub-workflow references are resolved by their cached name when the file is imported into another environment
+const DEFAULT_KEEP = [
+    'nodes.*.parameters.workflowId.cachedResultName'
+];
+
+// Fields written first; the rest follow in alphabetical order
+const TOP_LEVEL_ORDER = ['name', 'nodes', 'connections', 'settings'];
+
+// Shown in the editor only; n8n looks them up again when the node is opened
+const DISPLAY_ONLY_PARAMETERS = ['cachedResultName', 'cachedResultUrl'];
+
+// Turns a workflow from the API into the deterministic form written to workflows/ and backups,
+// so two exports of an unchanged workflow are byte-identical.
+class WorkflowNormalizer {
+    constructor(options = {}) {
+        // Rules from settings.export add to the defaults; "keep" wins over "drop"
+        this.dropRules = [...DEFAULT_DROP, ...(options.drop || [])].map(rule => rule.split('.'));
+        this.keepRules = [...DEFAULT_KEEP, ...(options.keep || [])].map(rule => rule.split('.'));
+        // Positions are rounded to this grid (1 = whole pixels, 0 = unchanged)
+        this.positionGrid = options.roundPositions === undefined ? 1 : Number(options.roundPositions) || 0;
+        this.workflowDiff = new WorkflowDiff();
+    }
+
+    normalize(workflow) {
+        const normalized = this.applyRules(workflow, []);
+
+        // Node names are unique within a workflow, and the node order means nothing to n8n
+        if (Array.isArray(normalized.nodes)) {
+            normalized.nodes = normalized.nodes
+                .map(node => this.roundPosition(node))
+                .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+        }
+
+        if (normalized.connections && typeof normalized.connections === 'object') {
+            normalized.connections = Object.fromEntries(
+                Object.keys(normalized.connections).sort().map(key => [key, normalized.connections[key]])
+            );
+        }
+
+        const keys = [
+            ...TOP_LEVEL_ORDER.filter(key => key in normalized),
+            ...Object.keys(normalized).filter(key => !TOP_LEVEL_ORDER.includes(key)).sort()
+        ];
+        return Object.fromEntries(keys.map(key => [key, normalized[key]]));
+    }
+
+    applyRules(value, currentPath) {
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.applyRules(item, [...currentPath, String(index)]));
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                const itemPath = [...currentPath, key];
+                if (item === undefined || this.isDropped(itemPath)) continue;
+                result[key] = this.applyRules(item, itemPath);
+            }
+            return result;
+        }
+        return value;
+    }
+
+    isDropped(fieldPath) {
+        return this.dropRules.some(rule => this.matches(rule, fieldPath)) &&
+            !this.keepRules.some(rule => this.matches(rule, fieldPath));
+    }
+
+    matches(rule, fieldPath) {
+        if (rule.length === 0) {
+            return fieldPath.length === 0;
+        }
+        if (rule[0] === '**') {
+            // "**" matches nothing, or one more segment and keeps matching
+            return this.matches(rule.slice(1), fieldPath) ||
+                (fieldPath.length > 0 && this.matches(rule, fieldPath.slice(1)));
+        }
+        return fieldPath.length > 0 &&
+            (rule[0] === '*' || rule[0] === fieldPath[0]) &&
+            this.matches(rule.slice(1), fieldPath.slice(1));
+    }
+
+    roundPosition(node) {
+        if (!this.positionGrid || !Array.isArray(node.position)) {
+            return node;
+        }
+        return {
+            ...node,
+            position: node.position.map(value =>
+                typeof value === 'number' ? Math.round(value / this.positionGrid) * this.positionGrid : value
+            )
+        };
+    }
+
+    // Proves the normalized workflow imports the same as the original: the same nodes, parameters, credentials,
+    // connections and settings. Returns the differences, which are caused by a drop rule removing too much.
+    verify(original, normalized) {
+        const diff = this.workflowDiff.compare(this.withoutDisplayFields(original), this.withoutDisplayFields(normalized));
+        const problems = this.workflowDiff.describe(diff)
+            .filter(change => !change.cosmetic)
+            .map(change => change.description);
+
+        if (original.name !== normalized.name) {
+            problems.push('name dropped');
+        }
+        if ((original.nodes || []).some(node => node.id) && (normalized.nodes || []).some(node => !node.id)) {
+            problems.push('node ids dropped');
+        }
+
+        return problems;
+    }
+
+    withoutDisplayFields(workflow) {
+        const strip = (value) => {
+            if (Array.isArray(value)) {
+                return value.map(strip);
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value)
+                    .filter(([key]) => !DISPLAY_ONLY_PARAMETERS.includes(key))
+                    .map(([key, item]) => [key, strip(item)]));
+            }
+            return value;
+        };
+
+        return {
+            ...workflow,
+            nodes: (workflow.nodes || []).map(node => ({ ...node, parameters: strip(node.parameters || {}) }))
+        };
+    }
+}
+
+module.exports = WorkflowNormalizer;
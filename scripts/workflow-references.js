@@ -0,0 +1,70 @@
+// Nodes that call another workflow by its id. The id differs per environment,
+// so these references have to be rewritten whenever a workflow moves between environments.
+const WORKFLOW_CALL_NODE_TYPES = [
+    'n8n-nodes-base.executeWorkflow',
+    '@n8n/n8n-nodes-langchain.toolWorkflow'
+];
+
+class WorkflowReferences {
+    // Calls to stored workflows: [{ node, workflowId, cachedName }]
+    find(workflowData) {
+        return (workflowData.nodes || [])
+            .filter(node => this.isWorkflowCall(node))
+            .map(node => ({
+                node: node.name,
+                workflowId: this.getWorkflowId(node),
+                cachedName: this.getCachedName(node)
+            }))
+            .filter(reference => reference.workflowId);
+    }
+
+    // Sources "parameter", "localFile" and "url" do not point at a stored workflow
+    isWorkflowCall(node) {
+        const parameters = node.parameters || {};
+        return WORKFLOW_CALL_NODE_TYPES.includes(node.type) &&
+            (!parameters.source || parameters.source === 'database');
+    }
+
+    // Older node versions store a plain id, newer ones a resource locator:
+    // { __rl: true, value, mode, cachedResultName, cachedResultUrl }.
+    // Expressions ("={{ ... }}") are resolved at runtime and cannot be remapped.
+    getWorkflowId(node) {
+        const value = node.parameters.workflowId;
+        let id = value && typeof value === 'object' ? value.value : value;
+
+        // mode "url": https://instance/workflow/<id>
+        if (value && value.mode === 'url' && typeof id === 'string') {
+            const match = id.match(/\/workflow\/([^/?#]+)/);
+            id = match ? match[1] : null;
+        }
+
+        if (typeof id !== 'string' && typeof id !== 'number') {
+            return null;
+        }
+        return String(id).startsWith('=') ? null : String(id);
+    }
+
+    getCachedName(node) {
+        const value = node.parameters.workflowId;
+        return value && typeof value === 'object' ? value.cachedResultName || null : null;
+    }
+
+    setWorkflowId(node, workflowId, workflowName) {
+        const value = node.parameters.workflowId;
+
+        if (!value || typeof value !== 'object') {
+            node.parameters.workflowId = workflowId;
+            return;
+        }
+
+        node.parameters.workflowId = {
+            ...value,
+            value: workflowId,
+            mode: value.mode === 'url' ? 'id' : value.mode,
+            ...(value.cachedResultName !== undefined ? { cachedResultName: workflowName } : {}),
+            ...(value.cachedResultUrl !== undefined ? { cachedResultUrl: `/workflow/${workflowId}` } : {})
+        };
+    }
+}
+
+module.exports = WorkflowReferences;